@@ -0,0 +1,176 @@
+/* Attract / idle mode: a virtual pointer for unattended installations
+   - after `timeout` seconds without input a synthetic point moves over the grid
+     along a trajectory (lissajous, walk, scan, spiral) and goes through the normal activation path
+   - optional schedule switches modes every `interval` seconds while idle
+   - any real input ends it at once, it comes back after the next quiet period
+   - works in the browser (global RasterAttract) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterAttract = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const POINT_ID = 'attract';
+
+  const DEFAULTS = {
+    timeout: 30,     // seconds without input before idle starts (0 = never)
+    path: 'lissajous',
+    speed: 6,        // roughly cells per second
+    cycle: 0,        // seconds per trajectory, 0 = keep the chosen one
+    schedule: null,  // { modes: ['labil', 'stable'], interval: 20 }
+    random: Math.random // pass a separate PRNG, not the simulation's: idle must not shift its stream
+  };
+
+  // Trajectories: path(state, dt, ctx) -> { x, y } in cell units (floats).
+  // ctx: { cols, rows, speed, random }. state starts as {} and belongs to the path.
+  const PATHS = Object.create(null); // no prototype: ?path=toString is no path
+
+  function registerPath(name, fn) {
+    PATHS[name] = fn;
+  }
+
+  registerPath('lissajous', (s, dt, ctx) => {
+    // 3:2 figure, one loop takes about as long as crossing the grid a few times
+    const size = Math.max(ctx.cols, ctx.rows);
+    s.t = (s.t || 0) + dt * ctx.speed / size;
+    return {
+      x: ctx.cols * (0.5 + 0.45 * Math.sin(3 * s.t + Math.PI / 2)),
+      y: ctx.rows * (0.5 + 0.45 * Math.sin(2 * s.t))
+    };
+  });
+
+  registerPath('walk', (s, dt, ctx) => {
+    if (s.x === undefined) {
+      s.x = ctx.random() * ctx.cols;
+      s.y = ctx.random() * ctx.rows;
+      s.heading = ctx.random() * Math.PI * 2;
+    }
+    // wander: small random turns, bounce off the edges
+    s.heading += (ctx.random() - 0.5) * 6 * dt;
+    s.x += Math.cos(s.heading) * ctx.speed * dt;
+    s.y += Math.sin(s.heading) * ctx.speed * dt;
+    if (s.x < 0 || s.x >= ctx.cols) {
+      s.heading = Math.PI - s.heading;
+      s.x = Math.min(ctx.cols - 0.001, Math.max(0, s.x));
+    }
+    if (s.y < 0 || s.y >= ctx.rows) {
+      s.heading = -s.heading;
+      s.y = Math.min(ctx.rows - 0.001, Math.max(0, s.y));
+    }
+    return { x: s.x, y: s.y };
+  });
+
+  registerPath('scan', (s, dt, ctx) => {
+    // boustrophedon: left to right, next row right to left, ...
+    s.p = ((s.p || 0) + dt * ctx.speed * 2) % (ctx.cols * ctx.rows);
+    const row = Math.floor(s.p / ctx.cols);
+    const col = Math.floor(s.p - row * ctx.cols);
+    return { x: (row % 2 ? ctx.cols - 1 - col : col) + 0.5, y: row + 0.5 };
+  });
+
+  registerPath('spiral', (s, dt, ctx) => {
+    // winds out from the center and back in
+    const radius = Math.max(ctx.cols, ctx.rows) / 2;
+    s.r = s.r === undefined ? 0 : s.r;
+    s.dir = s.dir || 1;
+    s.a = s.a || 0;
+    s.a += dt * ctx.speed / Math.max(1, s.r);
+    s.r += s.dir * dt * ctx.speed * 0.15;
+    if (s.r > radius) { s.r = radius; s.dir = -1; }
+    if (s.r < 0) { s.r = 0; s.dir = 1; }
+    return {
+      x: ctx.cols / 2 + Math.cos(s.a) * s.r * ctx.cols / (radius * 2),
+      y: ctx.rows / 2 + Math.sin(s.a) * s.r * ctx.rows / (radius * 2)
+    };
+  });
+
+  // options: see DEFAULTS, plus onMode(name) for scheduled mode switches
+  function createAttract(options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const random = opts.random;
+    let quiet = 0;        // seconds since the last real input
+    let active = false;
+    let pathName = PATHS[opts.path] ? opts.path : DEFAULTS.path;
+    let pathState = {};
+    let pathTime = 0;
+    let scheduleTime = 0;
+    let scheduleIndex = 0;
+
+    function start() {
+      active = true;
+      pathState = {};
+      pathTime = 0;
+      scheduleTime = 0;
+    }
+
+    function stop() {
+      active = false;
+      quiet = 0;
+    }
+
+    function nextPath() {
+      const names = Object.keys(PATHS);
+      pathName = names[(names.indexOf(pathName) + 1) % names.length];
+      pathState = {};
+      pathTime = 0;
+    }
+
+    function runSchedule(dt) {
+      const schedule = opts.schedule;
+      if (!schedule || !schedule.modes || !schedule.modes.length || !(schedule.interval > 0)) return;
+      scheduleTime += dt;
+      if (scheduleTime < schedule.interval) return;
+      scheduleTime = 0;
+      scheduleIndex = (scheduleIndex + 1) % schedule.modes.length;
+      if (opts.onMode) opts.onMode(schedule.modes[scheduleIndex]);
+    }
+
+    // Advance by dt seconds. Returns the virtual point as [{ id, col, row }]
+    // while idle (empty when it is off the grid), or null while a person is in charge.
+    function update(dt, cols, rows) {
+      if (!active) {
+        quiet += dt;
+        if (!(opts.timeout > 0) || quiet < opts.timeout) return null;
+        start();
+      }
+      if (opts.cycle > 0) {
+        pathTime += dt;
+        if (pathTime >= opts.cycle) nextPath();
+      }
+      runSchedule(dt);
+      const pos = PATHS[pathName](pathState, dt, { cols, rows, speed: opts.speed, random });
+      const col = Math.floor(pos.x);
+      const row = Math.floor(pos.y);
+      if (col < 0 || col >= cols || row < 0 || row >= rows) return [];
+      return [{ id: POINT_ID, col, row }];
+    }
+
+    return {
+      options: opts,
+      get active() { return active; },
+      get path() { return pathName; },
+      set path(name) {
+        if (!PATHS[name]) return;
+        pathName = name;
+        pathState = {};
+        pathTime = 0;
+      },
+      // Real input: hand over immediately
+      input: stop,
+      // Start right away instead of waiting for the timeout
+      start,
+      update
+    };
+  }
+
+  return {
+    DEFAULTS,
+    PATHS,
+    registerPath,
+    createAttract
+  };
+});
@@ -0,0 +1,193 @@
+/* Audio input for the flip-grid: a playing file or the microphone
+   - a Web Audio analyser's spectrum is folded into log-spaced bands, one per column
+   - onset ("beat") detection on the low bands via spectral flux against a running mean
+   - bandLevels() and createBeatDetector() are headless, createAudioInput() needs Web Audio
+   - works in the browser (global RasterAudio) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterAudio = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BAND_DEFAULTS = {
+    minHz: 40,
+    maxHz: 12000,
+    floor: 0.25 // analyser bytes below this fraction count as silence
+  };
+
+  const BEAT_DEFAULTS = {
+    sensitivity: 1.5, // flux must exceed mean + sensitivity * deviation
+    minFlux: 0.02,    // ignore tiny changes in quiet passages
+    cooldown: 0.25,   // seconds between beats
+    history: 43,      // flux values in the running mean (~0.7 s at 60 fps)
+    lowBands: 0.25    // fraction of the bands (from the bass end) that count
+  };
+
+  // freq: analyser byte spectrum (getByteFrequencyData), count: number of bands.
+  // Returns Float32Array levels 0..1, bands spaced logarithmically from minHz to maxHz.
+  function bandLevels(freq, count, sampleRate, options) {
+    const o = Object.assign({}, BAND_DEFAULTS, options);
+    const out = new Float32Array(count);
+    const binHz = sampleRate / 2 / freq.length;
+    const maxHz = Math.min(o.maxHz, sampleRate / 2);
+    const ratio = maxHz / o.minHz;
+    for (let b = 0; b < count; b++) {
+      const lo = o.minHz * Math.pow(ratio, b / count);
+      const hi = o.minHz * Math.pow(ratio, (b + 1) / count);
+      const from = Math.min(freq.length - 1, Math.floor(lo / binHz));
+      const to = Math.min(freq.length - 1, Math.max(from, Math.ceil(hi / binHz) - 1));
+      let sum = 0;
+      for (let i = from; i <= to; i++) sum += freq[i];
+      const v = sum / (to - from + 1) / 255;
+      out[b] = Math.max(0, (v - o.floor) / (1 - o.floor));
+    }
+    return out;
+  }
+
+  // update(levels, dt) -> true on an onset
+  function createBeatDetector(options) {
+    const o = Object.assign({}, BEAT_DEFAULTS, options);
+    const history = [];
+    let prev = null;
+    let wait = 0;
+
+    return {
+      options: o,
+      update(levels, dt) {
+        wait = Math.max(0, wait - dt);
+        const n = Math.max(1, Math.round(levels.length * o.lowBands));
+        let flux = 0;
+        if (prev && prev.length === levels.length) {
+          for (let i = 0; i < n; i++) flux += Math.max(0, levels[i] - prev[i]);
+          flux /= n;
+        }
+        prev = Float32Array.from(levels);
+
+        let mean = 0;
+        for (let i = 0; i < history.length; i++) mean += history[i];
+        mean /= Math.max(1, history.length);
+        let dev = 0;
+        for (let i = 0; i < history.length; i++) dev += (history[i] - mean) * (history[i] - mean);
+        dev = Math.sqrt(dev / Math.max(1, history.length));
+
+        history.push(flux);
+        if (history.length > o.history) history.shift();
+
+        const beat = wait <= 0 && history.length >= o.history / 2 &&
+          flux > o.minFlux && flux > mean + o.sensitivity * dev;
+        if (beat) wait = o.cooldown;
+        return beat;
+      },
+      reset() {
+        history.length = 0;
+        prev = null;
+        wait = 0;
+      }
+    };
+  }
+
+  // Web Audio source + analyser. Files are played out loud, the microphone is only analysed.
+  function createAudioInput(options) {
+    const o = Object.assign({ fftSize: 2048, smoothing: 0.7 }, options);
+    let ctx = null;
+    let analyser = null;
+    let freq = null;
+    let source = null;
+    let element = null;
+    let stream = null;
+    let objectUrl = null; // a blob: URL startFile made, only those are ours to revoke
+    let kind = null; // 'file' | 'microphone'
+    let session = 0; // bumped by stop(): a microphone granted after that is released, not used
+
+    function ensureContext() {
+      if (!ctx) {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) throw new Error('Web Audio is not supported');
+        ctx = new Ctx();
+        analyser = ctx.createAnalyser();
+        analyser.fftSize = o.fftSize;
+        analyser.smoothingTimeConstant = o.smoothing;
+        freq = new Uint8Array(analyser.frequencyBinCount);
+      }
+      // browsers start the context suspended until a user gesture
+      if (ctx.state === 'suspended') ctx.resume();
+      return ctx;
+    }
+
+    function stop() {
+      session++;
+      if (source) source.disconnect();
+      if (element) element.pause();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      if (stream) stream.getTracks().forEach((t) => t.stop());
+      if (analyser) analyser.disconnect();
+      source = null;
+      element = null;
+      stream = null;
+      objectUrl = null;
+      kind = null;
+    }
+
+    // src: File / Blob or URL
+    function startFile(src) {
+      stop();
+      ensureContext();
+      element = new Audio();
+      if (typeof src !== 'string') objectUrl = URL.createObjectURL(src);
+      element.src = objectUrl || src;
+      element.crossOrigin = 'anonymous';
+      element.addEventListener('ended', stop);
+      source = ctx.createMediaElementSource(element);
+      source.connect(analyser);
+      analyser.connect(ctx.destination);
+      kind = 'file';
+      return element.play();
+    }
+
+    function startMicrophone() {
+      stop();
+      ensureContext();
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return Promise.reject(new Error('Microphone input is not supported'));
+      }
+      const started = session;
+      return navigator.mediaDevices.getUserMedia({ audio: true }).then((s) => {
+        // stopped (or switched to a file) while the permission prompt was open
+        if (started !== session) {
+          s.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        stream = s;
+        source = ctx.createMediaStreamSource(s);
+        source.connect(analyser); // not to the speakers: no feedback
+        kind = 'microphone';
+      });
+    }
+
+    return {
+      get active() { return !!kind; },
+      get kind() { return kind; },
+      startFile,
+      startMicrophone,
+      stop,
+      // Current band levels for `count` columns, or null when nothing is playing
+      read(count, bandOptions) {
+        if (!kind) return null;
+        analyser.getByteFrequencyData(freq);
+        return bandLevels(freq, count, ctx.sampleRate, bandOptions);
+      }
+    };
+  }
+
+  return {
+    BAND_DEFAULTS,
+    BEAT_DEFAULTS,
+    bandLevels,
+    createBeatDetector,
+    createAudioInput
+  };
+});
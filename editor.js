@@ -0,0 +1,180 @@
+/* Paint / edit tools for composing grid states by hand
+   - brush (shape, color, flip angle), tools: paint, fill (flood fill), erase
+   - every stroke, fill or clear is one undo step
+   - headless: works on a RasterSim simulation, the page wires pointer and palette
+   - works in the browser (global RasterEditor) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterEditor = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HISTORY_LIMIT = 100;
+
+  function samePin(a, b) {
+    if (!a.pinned || !b.pinned) return a.pinned === b.pinned;
+    return a.shape === b.shape && a.color === b.color && Math.abs(a.angle - b.angle) < 1e-6;
+  }
+
+  // onChange(idx, pin) runs for every cell that changes (also on undo/redo);
+  // color: the brush's first color (the page passes its theme's accent), else the sim's current first color
+  function createEditor(sim, onChange, color) {
+    const brush = { shape: 'square', color: color || sim.colors()[0], angleDeg: 30 };
+    let tool = 'paint';
+    const undoStack = [];
+    const redoStack = [];
+    let stroke = null; // idx -> { before, after } while a drag is in progress
+
+    function brushPin() {
+      if (tool === 'erase') return { pinned: false };
+      return { pinned: true, shape: brush.shape, color: brush.color, angle: brush.angleDeg * Math.PI / 180 };
+    }
+
+    function apply(idx, pin) {
+      sim.setPin(idx, pin);
+      if (onChange) onChange(idx, pin);
+    }
+
+    function pushHistory(changes) {
+      const list = [];
+      changes.forEach((change, idx) => {
+        if (!samePin(change.before, change.after)) list.push({ idx, before: change.before, after: change.after });
+      });
+      if (!list.length) return;
+      undoStack.push(list);
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+      redoStack.length = 0;
+    }
+
+    // Apply pins and record them as one history entry
+    function commit(changes) {
+      changes.forEach((change, idx) => {
+        if (!samePin(change.before, change.after)) apply(idx, change.after);
+      });
+      pushHistory(changes);
+    }
+
+    function beginStroke() {
+      stroke = new Map();
+    }
+
+    // Paint the brush into one cell (part of the current stroke, if any)
+    function paintAt(col, row) {
+      if (col < 0 || col >= sim.cols || row < 0 || row >= sim.rows) return;
+      const idx = row * sim.cols + col;
+      const after = brushPin();
+      if (!stroke) {
+        commit(new Map([[idx, { before: sim.getPin(idx), after }]]));
+        return;
+      }
+      const change = stroke.get(idx);
+      if (change) {
+        change.after = after;
+      } else {
+        stroke.set(idx, { before: sim.getPin(idx), after });
+      }
+      // show right away, history entry is written at the end of the stroke
+      apply(idx, after);
+    }
+
+    function endStroke() {
+      if (!stroke) return;
+      const changes = stroke;
+      stroke = null;
+      pushHistory(changes);
+    }
+
+    // Flood fill (4-neighborhood) of the region that looks like the start cell
+    function fill(col, row) {
+      if (col < 0 || col >= sim.cols || row < 0 || row >= sim.rows) return;
+      const cols = sim.cols;
+      const start = row * cols + col;
+      const target = sim.getPin(start);
+      const after = brushPin();
+      if (samePin(target, after)) return;
+      const matches = (pin) => (pin.pinned ? samePin(pin, target)
+        : !target.pinned && pin.shape === target.shape && pin.color === target.color);
+
+      const changes = new Map();
+      const queue = [start];
+      const seen = new Uint8Array(sim.cols * sim.rows);
+      seen[start] = 1;
+      while (queue.length) {
+        const idx = queue.pop();
+        const pin = sim.getPin(idx);
+        if (!matches(pin)) continue;
+        changes.set(idx, { before: pin, after });
+        const c = idx % cols;
+        const r = (idx - c) / cols;
+        const next = [[c - 1, r], [c + 1, r], [c, r - 1], [c, r + 1]];
+        for (let k = 0; k < next.length; k++) {
+          const nc = next[k][0];
+          const nr = next[k][1];
+          if (nc < 0 || nc >= cols || nr < 0 || nr >= sim.rows) continue;
+          const nidx = nr * cols + nc;
+          if (seen[nidx]) continue;
+          seen[nidx] = 1;
+          queue.push(nidx);
+        }
+      }
+      commit(changes);
+    }
+
+    // Unpin every painted cell
+    function clear() {
+      const changes = new Map();
+      for (let idx = 0; idx < sim.cols * sim.rows; idx++) {
+        const pin = sim.getPin(idx);
+        if (pin.pinned) changes.set(idx, { before: pin, after: { pinned: false } });
+      }
+      commit(changes);
+    }
+
+    function undo() {
+      const list = undoStack.pop();
+      if (!list) return false;
+      for (let i = list.length - 1; i >= 0; i--) apply(list[i].idx, list[i].before);
+      redoStack.push(list);
+      return true;
+    }
+
+    function redo() {
+      const list = redoStack.pop();
+      if (!list) return false;
+      for (let i = 0; i < list.length; i++) apply(list[i].idx, list[i].after);
+      undoStack.push(list);
+      return true;
+    }
+
+    // Cell indices change meaning with the grid size
+    function resetHistory() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      stroke = null;
+    }
+
+    return {
+      brush,
+      get tool() { return tool; },
+      set tool(value) { tool = value; },
+      get canUndo() { return undoStack.length > 0; },
+      get canRedo() { return redoStack.length > 0; },
+      beginStroke,
+      paintAt,
+      endStroke,
+      fill,
+      clear,
+      undo,
+      redo,
+      resetHistory
+    };
+  }
+
+  return {
+    createEditor
+  };
+});
@@ -0,0 +1,99 @@
+/* <raster-grid>: the flip-grid as an embeddable element, any number per page
+   - every element owns its canvas, renderer, cells and controls (RasterGrid.createGrid in script.js)
+     and sizes itself to its own box (ResizeObserver), 4:3 unless the page sets a height
+   - configured by attributes, the same names as the page's query parameters:
+     cols, rows, grid, mode, seed, palette ("#hex,#hex"), theme, idle, path, cycle, schedule, beat, preset, remote,
+     worker, motion, transition ("spiral 2 ease-out")
+   - mode, palette, theme, cols / rows / grid and seed may change later and apply live
+   - `controls` shows mode / freeze / reset buttons, `keyboard` makes it focusable and takes the keys while focused
+     (arrows move the cell cursor)
+   - element.controller is the grid's controller; its events come out as DOM events
+     (modechange, cellflip, cellrevert, freeze, reset) with the details in event.detail
+   - modes are shared by all grids on the page: controller.registerMode on one element gives every
+     element the mode's button and key (6-9), and the grids step on the main thread from then on
+   - needs styles.css for the element, controls and panels
+*/
+(function () {
+  if (typeof customElements === 'undefined' || typeof RasterGrid === 'undefined') return;
+
+  const CONFIG = ['cols', 'rows', 'grid', 'mode', 'seed', 'palette', 'theme', 'idle', 'path', 'cycle', 'schedule', 'beat', 'preset', 'remote', 'worker', 'motion', 'transition'];
+  const LIVE = ['mode', 'palette', 'theme', 'cols', 'rows', 'grid', 'seed'];
+  const EVENTS = ['modechange', 'cellflip', 'cellrevert', 'freeze', 'reset'];
+
+  class RasterGridElement extends HTMLElement {
+    static get observedAttributes() {
+      return LIVE;
+    }
+
+    constructor() {
+      super();
+      this.controller = null;
+    }
+
+    connectedCallback() {
+      if (this.controller) return;
+      const params = new URLSearchParams();
+      CONFIG.forEach((name) => {
+        if (this.hasAttribute(name)) params.set(name, this.getAttribute(name));
+      });
+
+      const canvas = document.createElement('canvas');
+      this.appendChild(canvas);
+
+      let controls = null;
+      if (this.hasAttribute('controls')) {
+        // mode buttons are added by the grid, in front of Freeze
+        controls = document.createElement('div');
+        controls.className = 'grid-controls';
+        controls.setAttribute('role', 'toolbar');
+        controls.setAttribute('aria-label', 'Grid controls');
+        [['freeze', 'Freeze'], ['reset', 'Reset']].forEach(([action, label]) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.dataset.action = action;
+          if (action === 'freeze') btn.setAttribute('aria-pressed', 'false');
+          btn.textContent = label;
+          controls.appendChild(btn);
+        });
+        this.appendChild(controls);
+      }
+
+      let keyTarget = null;
+      if (this.hasAttribute('keyboard')) {
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+        keyTarget = this;
+      }
+
+      this.controller = RasterGrid.createGrid({ canvas, container: this, controls, params, keyTarget });
+      EVENTS.forEach((type) => {
+        this.controller.on(type, (detail) => this.dispatchEvent(new CustomEvent(type, { detail })));
+      });
+    }
+
+    disconnectedCallback() {
+      if (!this.controller) return;
+      this.controller.destroy();
+      this.controller = null;
+      while (this.firstChild) this.removeChild(this.firstChild);
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      const grid = this.controller;
+      if (!grid || oldValue === value) return;
+      if (name === 'mode' && value && RasterSim.MODES[value]) grid.setMode(value);
+      if (name === 'palette') grid.setPalette(value ? value.split(',').map((c) => c.trim()) : null);
+      if (name === 'theme') grid.setTheme(value && RasterThemes.getTheme(value) ? value : RasterThemes.DEFAULT_THEME);
+      if (name === 'seed' && value) grid.setSeed(/^\d+$/.test(value) ? Number(value) : value);
+      if (name === 'cols' || name === 'rows') {
+        const size = grid.getGridSize();
+        grid.setGridSize(this.getAttribute('cols') || size.cols, this.getAttribute('rows') || size.rows);
+      }
+      if (name === 'grid') {
+        const m = /^(\d+)x(\d+)$/i.exec((value || '').trim());
+        if (m) grid.setGridSize(Number(m[1]), Number(m[2]));
+      }
+    }
+  }
+
+  customElements.define('raster-grid', RasterGridElement);
+})();
@@ -0,0 +1,65 @@
+/* Minimal event emitter for the public controller (window.rasterGrid.on / off / once)
+   - listeners get one detail object; a throwing listener is logged and does not stop the others
+   - works in the browser (global RasterEvents) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterEvents = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function createEmitter() {
+    const listeners = new Map(); // type -> [fn]
+
+    function on(type, fn) {
+      if (typeof fn !== 'function') throw new Error('Listener must be a function');
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(fn);
+      return () => off(type, fn);
+    }
+
+    function off(type, fn) {
+      const list = listeners.get(type);
+      if (!list) return;
+      const i = list.indexOf(fn);
+      if (i >= 0) list.splice(i, 1);
+      if (!list.length) listeners.delete(type);
+    }
+
+    function once(type, fn) {
+      const remove = on(type, function wrapper(detail) {
+        remove();
+        fn(detail);
+      });
+      return remove;
+    }
+
+    function emit(type, detail) {
+      const list = listeners.get(type);
+      if (!list) return;
+      // copy: listeners may remove themselves while we iterate
+      list.slice().forEach((fn) => {
+        try {
+          fn(detail);
+        } catch (err) {
+          console.error('Error in ' + type + ' listener', err);
+        }
+      });
+    }
+
+    return {
+      on,
+      off,
+      once,
+      emit,
+      has: (type) => listeners.has(type)
+    };
+  }
+
+  return {
+    createEmitter
+  };
+});
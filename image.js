@@ -0,0 +1,150 @@
+/* Image mosaic: turns a picture into per-cell base states for the grid
+   - the image is cropped to the grid aspect ("cover") and sampled down to cols x rows
+   - brightness picks the shape (halftone: brighter pixel = more covered tile),
+     the pixel color becomes the tile color, hue x saturation the resting flip angle
+   - mapPixels() is headless (RGBA bytes in, states out); sampleImage() needs a canvas
+   - cropToAspect() prepares a picture as the back-face atlas of the whole grid
+   - works in the browser (global RasterImage) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterImage = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    shapes: ['line', 'triangle', 'circle', 'square'], // least to most covered tile
+    color: 'image',   // 'image' = pixel color, or a fixed '#rrggbb'
+    maxAngleDeg: 35,  // resting angle of a fully saturated pixel at hue 360
+    invert: false,    // dark pixels get the big shapes (light background)
+    minAlpha: 16      // more transparent pixels keep the default tile
+  };
+
+  function toHex(r, g, b) {
+    return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+  }
+
+  // Hue in [0, 1), saturation (HSV) in [0, 1]
+  function hueSat(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    if (!max || !delta) return [0, 0];
+    let h;
+    if (max === r) h = ((g - b) / delta) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+    return [((h / 6) + 1) % 1, delta / max];
+  }
+
+  // data: RGBA bytes of a cols x rows image. Returns one { shape, color, angle }
+  // (angle in radians) or null (transparent) per cell, row by row.
+  function mapPixels(data, cols, rows, options) {
+    const o = Object.assign({}, DEFAULTS, options);
+    const shapes = o.shapes.length ? o.shapes : DEFAULTS.shapes;
+    const maxAngle = o.maxAngleDeg * Math.PI / 180;
+    const out = new Array(cols * rows);
+    for (let i = 0; i < cols * rows; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      if (data[i * 4 + 3] < o.minAlpha) {
+        out[i] = null;
+        continue;
+      }
+      // Rec. 709 luma
+      let lum = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+      if (o.invert) lum = 1 - lum;
+      const hs = hueSat(r, g, b);
+      out[i] = {
+        shape: shapes[Math.min(shapes.length - 1, Math.floor(lum * shapes.length))],
+        color: o.color === 'image' ? toHex(r, g, b) : o.color,
+        angle: hs[0] * hs[1] * maxAngle
+      };
+    }
+    return out;
+  }
+
+  // Centered source rectangle of an image that fills `aspect` (width / height)
+  function coverRect(source, aspect) {
+    const w = source.naturalWidth || source.videoWidth || source.width;
+    const h = source.naturalHeight || source.videoHeight || source.height;
+    if (!w || !h) throw new Error('Image has no size');
+    let sw = w, sh = h;
+    if (w / h > aspect) sw = h * aspect;
+    else sh = w / aspect;
+    return { x: (w - sw) / 2, y: (h - sh) / 2, w: sw, h: sh };
+  }
+
+  // Sample an image (anything drawImage accepts) down to cols x rows RGBA bytes,
+  // center-cropped to the grid aspect. The browser's smoothing averages the pixels.
+  function sampleImage(source, cols, rows) {
+    const rect = coverRect(source, cols / rows);
+    let sw = rect.w, sh = rect.h;
+
+    // halve in steps first, a single big downscale skips most pixels
+    let src = source, sx = rect.x, sy = rect.y;
+    while (sw / 2 > cols * 2 && sh / 2 > rows * 2) {
+      const step = document.createElement('canvas');
+      step.width = Math.ceil(sw / 2);
+      step.height = Math.ceil(sh / 2);
+      step.getContext('2d').drawImage(src, sx, sy, sw, sh, 0, 0, step.width, step.height);
+      src = step;
+      sx = 0;
+      sy = 0;
+      sw = step.width;
+      sh = step.height;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(src, sx, sy, sw, sh, 0, 0, cols, rows);
+    return ctx.getImageData(0, 0, cols, rows).data;
+  }
+
+  // Center-crop an image to `aspect` on a canvas, longest side at most maxSize px
+  function cropToAspect(source, aspect, maxSize) {
+    const rect = coverRect(source, aspect);
+    const scale = Math.min(1, (maxSize || 2048) / Math.max(rect.w, rect.h));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.w * scale));
+    canvas.height = Math.max(1, Math.round(rect.h * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  // Decode a File / Blob / URL into something drawImage accepts
+  function loadImage(src) {
+    if (typeof src !== 'string' && typeof createImageBitmap === 'function') return createImageBitmap(src);
+    return new Promise((resolve, reject) => {
+      const url = typeof src === 'string' ? src : URL.createObjectURL(src);
+      const img = new Image();
+      img.onload = () => {
+        if (url !== src) URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        if (url !== src) URL.revokeObjectURL(url);
+        reject(new Error('Could not load image'));
+      };
+      img.src = url;
+    });
+  }
+
+  return {
+    DEFAULTS,
+    mapPixels,
+    sampleImage,
+    cropToAspect,
+    loadImage
+  };
+});
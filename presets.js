@@ -0,0 +1,96 @@
+/* Named presets of mode parameters (per-venue tunings)
+   - a preset is { name, modes: { <mode>: { startDeg, decay, ..., colors, shapeWeights } } }
+   - stored in localStorage (or any object with getItem/setItem), in memory if that fails
+   - toJSON() / parse() for preset files
+   - works in the browser (global RasterPresets) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterPresets = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FILE_FORMAT = 'raster-grid-preset';
+  const FILE_VERSION = 1;
+  const STORAGE_KEY = 'rasterGrid.presets';
+
+  // Validate a preset file (string or parsed object) and return { name, modes }
+  function parse(data) {
+    const obj = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!obj || obj.format !== FILE_FORMAT || !obj.modes || typeof obj.modes !== 'object') {
+      throw new Error('Not a preset file');
+    }
+    if (obj.version > FILE_VERSION) throw new Error('Preset file is from a newer version');
+    return { name: String(obj.name || 'Imported'), modes: obj.modes };
+  }
+
+  function toJSON(preset) {
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      name: preset.name,
+      savedAt: new Date().toISOString(),
+      modes: preset.modes
+    }, null, 2);
+  }
+
+  // storage: localStorage-like; key: storage key for all presets
+  function createPresetStore(storage, key) {
+    const storageKey = key || STORAGE_KEY;
+    // no prototype: names like "toString" or "__proto__" are presets like any other
+    let presets = Object.create(null);
+    const has = (name) => Object.prototype.hasOwnProperty.call(presets, name);
+
+    function load() {
+      presets = Object.create(null);
+      try {
+        const raw = storage && storage.getItem(storageKey);
+        const stored = raw ? JSON.parse(raw) : null;
+        if (stored && typeof stored === 'object') Object.keys(stored).forEach((name) => { presets[name] = stored[name]; });
+      } catch (err) {
+        console.warn('Could not read presets', err);
+      }
+    }
+
+    function persist() {
+      try {
+        if (storage) storage.setItem(storageKey, JSON.stringify(presets));
+      } catch (err) {
+        // quota or private mode: keep them for this session
+        console.warn('Could not store presets', err);
+      }
+    }
+
+    load();
+
+    return {
+      list() {
+        return Object.keys(presets).sort();
+      },
+      get(name) {
+        return has(name) ? { name, modes: JSON.parse(JSON.stringify(presets[name])) } : null;
+      },
+      save(name, modes) {
+        presets[name] = JSON.parse(JSON.stringify(modes));
+        persist();
+      },
+      remove(name) {
+        if (!has(name)) return false;
+        delete presets[name];
+        persist();
+        return true;
+      },
+      reload: load
+    };
+  }
+
+  return {
+    FILE_FORMAT,
+    parse,
+    toJSON,
+    createPresetStore
+  };
+});
@@ -0,0 +1,182 @@
+/* Input recorder / player for the flip-grid simulation
+   - records a snapshot of the simulation plus, per frame, the time delta,
+     the active points and the commands issued before it (mode, freeze, reset, grid, seed, pin, release,
+     params, base, pulse, audio, palette, theme, motion, transition); a mode switch or reset with
+     its own transition carries it along
+   - replaying restores the snapshot and feeds the same frames back, so the
+     seeded simulation reproduces the run frame by frame
+   - stepFixed() resamples the input stream at a fixed timestep (frame export)
+   - works in the browser (global RasterRecorder) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterRecorder = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // v2: frame = [dt, [id, col, row, id, col, row, ...], events?]
+  // v1: frame = [dt, col, row, events?] (single pointer), still replayable
+  const FORMAT_VERSION = 2;
+
+  // Apply a recorded command to the simulation. Freeze is player state, not sim state.
+  function applyEvent(sim, player, type, value) {
+    if (type === 'mode') {
+      if (Array.isArray(value)) sim.setMode(value[0], value[1]);
+      else sim.setMode(value);
+    } else if (type === 'reset') sim.reset(value);
+    else if (type === 'grid') sim.setGridSize(value[0], value[1]);
+    else if (type === 'seed') sim.setSeed(value);
+    else if (type === 'pin') sim.setPin(value[0], value[1]);
+    else if (type === 'release') sim.releasePins();
+    else if (type === 'params') sim.setModeParams(value[0], value[1]);
+    else if (type === 'base') sim.setBase(value);
+    else if (type === 'pulse') sim.addPulse(value);
+    else if (type === 'palette') sim.setPalette(value);
+    else if (type === 'theme') sim.setTheme(value);
+    else if (type === 'audio') sim.setAudio(value ? value.map((v) => v / 255) : null);
+    else if (type === 'motion') sim.setReducedMotion(value);
+    else if (type === 'transition') sim.setTransition(value);
+    else if (type === 'freeze') player.frozen = !!value;
+  }
+
+  function createRecorder() {
+    let log = null;
+    let pending = [];
+
+    return {
+      get recording() { return !!log; },
+
+      // meta: { frozen } - app state that is not part of the simulation
+      start(sim, meta) {
+        log = {
+          version: FORMAT_VERSION,
+          createdAt: new Date().toISOString(),
+          frozen: !!(meta && meta.frozen),
+          snapshot: sim.snapshot(),
+          frames: []
+        };
+        pending = [];
+      },
+
+      // A command issued between frames; it is replayed before the next frame
+      event(type, value) {
+        if (!log) return;
+        pending.push(value === undefined ? [type] : [type, value]);
+      },
+
+      // One rendered frame: dt in seconds, active points (array of { id, col, row },
+      // a single { col, row } or null; ignored while frozen)
+      frame(dt, active) {
+        if (!log) return;
+        const list = Array.isArray(active) ? active : (active ? [active] : []);
+        const flat = [];
+        for (let i = 0; i < list.length; i++) {
+          flat.push(list[i].id != null ? list[i].id : i, list[i].col, list[i].row);
+        }
+        const entry = [dt, flat];
+        if (pending.length) entry.push(pending);
+        log.frames.push(entry);
+        pending = [];
+      },
+
+      stop() {
+        const out = log;
+        log = null;
+        pending = [];
+        return out;
+      }
+    };
+  }
+
+  function createPlayer(log) {
+    if (typeof log === 'string') log = JSON.parse(log);
+    if (!log || (log.version !== 1 && log.version !== FORMAT_VERSION) || !Array.isArray(log.frames)) {
+      throw new Error('Unsupported recording');
+    }
+    let index = 0;
+    // stepFixed() state: playback clock, recorded clock, last recorded active points
+    let clock = 0;
+    let recClock = 0;
+    let active = [];
+
+    function takeFrame(sim, onEvent) {
+      const entry = log.frames[index++];
+      let events;
+      if (log.version === 1) {
+        events = entry[3] || [];
+        active = entry[1] >= 0 ? [{ id: 0, col: entry[1], row: entry[2] }] : [];
+      } else {
+        events = entry[2] || [];
+        active = [];
+        for (let i = 0; i < entry[1].length; i += 3) {
+          active.push({ id: entry[1][i], col: entry[1][i + 1], row: entry[1][i + 2] });
+        }
+      }
+      for (let i = 0; i < events.length; i++) {
+        applyEvent(sim, player, events[i][0], events[i][1]);
+        if (onEvent) onEvent(events[i][0], events[i][1]);
+      }
+      return entry[0];
+    }
+
+    const player = {
+      log,
+      frozen: !!log.frozen,
+      get done() { return index >= log.frames.length; },
+      get index() { return index; },
+      get length() { return log.frames.length; },
+
+      // Put the simulation back into the recorded start state
+      rewind(sim) {
+        index = 0;
+        clock = 0;
+        recClock = 0;
+        active = [];
+        player.frozen = !!log.frozen;
+        sim.restore(log.snapshot);
+      },
+
+      // Replay the next frame. onEvent(type, value) runs after each command
+      // was applied, so the host can mirror it (rebuild meshes, update UI).
+      // Returns the frame's dt, or -1 when the recording is over.
+      step(sim, onEvent) {
+        if (index >= log.frames.length) return -1;
+        const dt = takeFrame(sim, onEvent);
+        if (!player.frozen) sim.step(dt, active);
+        return dt;
+      },
+
+      // Advance by a fixed dt instead of the recorded ones: every recorded frame
+      // that starts within the new clock contributes its commands and active points.
+      // Not bit-identical to the live run (different deltas), but the same input.
+      stepFixed(sim, dt, onEvent) {
+        if (index >= log.frames.length) return -1;
+        clock += dt;
+        while (index < log.frames.length && recClock < clock) {
+          recClock += takeFrame(sim, onEvent);
+        }
+        if (!player.frozen) sim.step(dt, active);
+        return dt;
+      }
+    };
+    return player;
+  }
+
+  // Headless replay of a whole recording, e.g. in Node
+  function replay(sim, log) {
+    const player = createPlayer(log);
+    player.rewind(sim);
+    while (!player.done) player.step(sim);
+    return sim;
+  }
+
+  return {
+    FORMAT_VERSION,
+    createRecorder,
+    createPlayer,
+    replay
+  };
+});
@@ -0,0 +1,143 @@
+/* Local relay for the remote-control protocol (remote.js), no dependencies
+   - run: node relay-server.js [port]   (default 8787), then open the grid with ?remote=ws://localhost:8787
+   - clients connect with ?role=grid (the grids, remote.js does this) or ?role=controller (the
+     default, show-control clients); a grid's messages go to the controllers, a controller's to
+     the grids, so grids never hear each other and controllers never hear each other
+   - minimal WebSocket (RFC 6455): text frames, fragmentation, ping/pong, close
+*/
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20; // bytes
+
+const clients = new Map(); // socket -> role
+
+function frame(opcode, payload) {
+  const len = payload.length;
+  let head;
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+// Pass a message on to the clients of the other role
+function route(from, text) {
+  const data = frame(0x1, Buffer.from(text, 'utf8'));
+  const role = clients.get(from);
+  clients.forEach((clientRole, client) => {
+    if (clientRole !== role && !client.destroyed) client.write(data);
+  });
+}
+
+function accept(socket, name, role) {
+  let buffer = Buffer.alloc(0);
+  let parts = [];
+  let partsLength = 0; // bytes of the message being put together from its fragments
+  let closed = false;
+  clients.set(socket, role);
+  console.log('+ %s %s (%d connected)', role, name, clients.size);
+
+  function drop() {
+    if (!clients.delete(socket)) return;
+    console.log('- %s %s (%d connected)', role, name, clients.size);
+  }
+
+  function close(code) {
+    // whatever the client still sends is dropped, not buffered
+    closed = true;
+    buffer = Buffer.alloc(0);
+    parts = [];
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(frame(0x8, payload));
+    drop();
+  }
+
+  socket.on('data', (chunk) => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // clients must mask their frames
+      if (!masked || len > MAX_MESSAGE) return close(1002);
+      // the limit holds for the whole message, not just each of its fragments
+      if (opcode < 0x8 && partsLength + len > MAX_MESSAGE) return close(1009);
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) return close(1000);
+      if (opcode === 0x9) {
+        socket.write(frame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) continue;
+      if (opcode === 0x2) return close(1003); // text only
+      parts.push(payload);
+      partsLength += len;
+      if (!fin) continue;
+      const text = Buffer.concat(parts).toString('utf8');
+      parts = [];
+      partsLength = 0;
+      route(socket, text);
+    }
+  });
+  socket.on('close', drop);
+  socket.on('error', drop);
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('raster-grid relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept64 = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Accept: ' + accept64,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  const role = new URL(req.url, 'http://relay').searchParams.get('role') === 'grid' ? 'grid' : 'controller';
+  accept(socket, req.socket.remoteAddress + ':' + req.socket.remotePort, role);
+});
+
+const port = Number(process.argv[2]) || 8787;
+server.listen(port, () => console.log('Relay listening on ws://localhost:%d', port));
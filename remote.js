@@ -0,0 +1,230 @@
+/* Remote control for installations: JSON messages over a WebSocket
+   - the grid connects to a relay (relay-server.js) that a show-control computer also connects to;
+     each says what it is with ?role=grid|controller and the relay passes commands from the
+     controllers to the grids and events from the grids to the controllers
+   - commands in:  { cmd: 'mode' | 'freeze' | 'reset' | 'pointers' | 'params' | 'seed' | 'release' | 'theme' | 'state', ... }
+     an optional `id` is echoed in the reply, errors come back as { event: 'error', cmd, id, message };
+     mode and reset take an optional `transition` ("sweep", { pattern, duration, easing }, see sim.js)
+   - events out:   { event: 'hello' | 'state' | 'mode' | 'flips' | 'freeze' | 'params' | 'seed' | 'theme' | 'error', ... }
+     replies are events too; messages without a `cmd` (events, errors) are never answered,
+     so two grids on one relay cannot keep each other talking
+   - reconnects with backoff; status is 'offline' | 'connecting' | 'online'
+   - works in the browser (global RasterRemote) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterRemote = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PROTOCOL = 'raster-grid';
+  const PROTOCOL_VERSION = 2;
+  const ROLES = ['grid', 'controller'];
+
+  const DEFAULTS = {
+    minDelay: 1,      // seconds before the first reconnect
+    maxDelay: 30,     // backoff cap
+    pointerTTL: 1     // seconds a remote pointer stays without an update
+  };
+
+  // mode and reset may carry a transition: a pattern string or { pattern, duration, easing }, null for none
+  function optionalTransition(t) {
+    return t === undefined || t === null || typeof t === 'string' || typeof t === 'object';
+  }
+
+  // Checks the shape of each command; the app supplies what they do.
+  const COMMANDS = {
+    mode: (m) => typeof m.mode === 'string' && optionalTransition(m.transition),
+    freeze: (m) => m.value === undefined || typeof m.value === 'boolean',
+    reset: (m) => optionalTransition(m.transition),
+    // points: [{ id, x, y }] with x, y in 0..1 across the grid (y down), [] lifts them all
+    pointers: (m) => Array.isArray(m.points) && m.points.every((p) =>
+      p && isFinite(p.x) && isFinite(p.y) && (typeof p.id === 'string' || typeof p.id === 'number')),
+    params: (m) => typeof m.mode === 'string' && !!m.values && typeof m.values === 'object',
+    seed: (m) => isFinite(m.seed),
+    release: () => true,
+    // a theme name or a custom theme object (themes.js)
+    theme: (m) => typeof m.theme === 'string' || (!!m.theme && typeof m.theme === 'object'),
+    state: () => true
+  };
+
+  // Parse and validate one incoming message. Returns the command, null for anything that is
+  // not one (events, errors), or throws.
+  function parseCommand(data) {
+    let msg;
+    try {
+      msg = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (err) {
+      throw new Error('Invalid JSON');
+    }
+    if (!msg || typeof msg !== 'object' || msg.cmd === undefined) return null;
+    if (typeof msg.cmd !== 'string') throw new Error('Invalid command name');
+    const check = Object.prototype.hasOwnProperty.call(COMMANDS, msg.cmd) ? COMMANDS[msg.cmd] : null;
+    if (!check) throw new Error('Unknown command: ' + msg.cmd.slice(0, 40));
+    if (!check(msg)) throw new Error('Invalid ' + msg.cmd + ' command');
+    return msg;
+  }
+
+  // The relay url with this client's role in the query (?role=grid|controller)
+  function withRole(url, role) {
+    return url + (url.indexOf('?') >= 0 ? '&' : '?') + 'role=' + encodeURIComponent(role);
+  }
+
+  // Remote pointers: the latest position per id, dropped after `ttl` seconds of silence
+  // so a crashed controller does not hold cells down forever.
+  function createPointerSet(ttl) {
+    const points = new Map(); // id -> { x, y, age }
+
+    return {
+      set(list) {
+        const seen = new Set();
+        list.forEach((p) => {
+          const id = String(p.id);
+          seen.add(id);
+          points.set(id, { x: Math.min(1, Math.max(0, p.x)), y: Math.min(1, Math.max(0, p.y)), age: 0 });
+        });
+        // a message carries every pointer of that controller: missing ids are lifted
+        points.forEach((p, id) => { if (!seen.has(id)) points.delete(id); });
+      },
+      clear() {
+        points.clear();
+      },
+      get size() { return points.size; },
+      // Advance by dt and return [{ id, col, row }] for a cols x rows grid
+      update(dt, cols, rows) {
+        const out = [];
+        points.forEach((p, id) => {
+          p.age += dt;
+          if (p.age > ttl) {
+            points.delete(id);
+            return;
+          }
+          out.push({
+            id: 'remote:' + id,
+            col: Math.min(cols - 1, Math.floor(p.x * cols)),
+            row: Math.min(rows - 1, Math.floor(p.y * rows))
+          });
+        });
+        return out;
+      }
+    };
+  }
+
+  // options: url, handlers { <command>: (msg) -> reply event ({ event, ... }) or undefined },
+  // role ('grid', the default, or 'controller'), onStatus(status), onConnect(),
+  // WebSocket (constructor, defaults to the global one), plus DEFAULTS
+  function createRemote(options) {
+    const opts = Object.assign({ role: 'grid' }, DEFAULTS, options);
+    if (ROLES.indexOf(opts.role) < 0) throw new Error('Unknown role: ' + opts.role);
+    const Socket = opts.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    let socket = null;
+    let status = 'offline';
+    let delay = opts.minDelay;
+    let timer = null;
+    let closed = true;
+
+    function setStatus(next) {
+      if (next === status) return;
+      status = next;
+      if (opts.onStatus) opts.onStatus(status);
+    }
+
+    function send(msg) {
+      if (!socket || status !== 'online') return false;
+      socket.send(JSON.stringify(msg));
+      return true;
+    }
+
+    function receive(data) {
+      let msg = null;
+      try {
+        msg = parseCommand(data);
+        if (!msg) return;
+        const handler = opts.handlers && opts.handlers[msg.cmd];
+        if (!handler) throw new Error('Unsupported command: ' + msg.cmd);
+        const reply = handler(msg);
+        if (reply) send(Object.assign({}, reply, msg.id !== undefined ? { id: msg.id } : null));
+      } catch (err) {
+        const reply = { event: 'error', message: err.message };
+        if (msg) reply.cmd = msg.cmd;
+        if (msg && msg.id !== undefined) reply.id = msg.id;
+        send(reply);
+      }
+    }
+
+    function scheduleReconnect() {
+      if (closed || timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        open();
+      }, delay * 1000);
+      delay = Math.min(opts.maxDelay, delay * 2);
+    }
+
+    function open() {
+      if (!Socket) throw new Error('WebSocket is not supported');
+      setStatus('connecting');
+      try {
+        socket = new Socket(withRole(opts.url, opts.role));
+      } catch (err) {
+        console.warn('Remote: could not connect', err);
+        setStatus('offline');
+        scheduleReconnect();
+        return;
+      }
+      const ws = socket;
+      ws.onopen = () => {
+        delay = opts.minDelay;
+        setStatus('online');
+        send({ event: 'hello', protocol: PROTOCOL, version: PROTOCOL_VERSION, role: opts.role });
+        if (opts.onConnect) opts.onConnect();
+      };
+      ws.onmessage = (e) => receive(e.data);
+      // browsers send close after error, some other implementations only error
+      ws.onclose = ws.onerror = () => {
+        if (socket !== ws) return;
+        socket = null;
+        if (ws.readyState < 2) ws.close();
+        setStatus('offline');
+        scheduleReconnect();
+      };
+    }
+
+    return {
+      get status() { return status; },
+      get url() { return opts.url; },
+      connect() {
+        closed = false;
+        delay = opts.minDelay;
+        if (!socket && !timer) open();
+      },
+      close() {
+        closed = true;
+        clearTimeout(timer);
+        timer = null;
+        if (socket) {
+          const ws = socket;
+          socket = null;
+          ws.close();
+        }
+        setStatus('offline');
+      },
+      send,
+      receive
+    };
+  }
+
+  return {
+    PROTOCOL,
+    PROTOCOL_VERSION,
+    ROLES,
+    DEFAULTS,
+    COMMANDS,
+    parseCommand,
+    createPointerSet,
+    createRemote
+  };
+});
@@ -1,8 +1,42 @@
 /* Interactive flip-grid with STABLE and LABIL modes
-   - 40x40 grid (1600 cells)
-   - Two distinct modes with different behaviors
+   - 40x40 grid (1600 cells) by default, resizable via ?cols=&rows= or rasterGrid.setGridSize()
+   - Two distinct modes with different behaviors (plus Reveal, Wave and Automaton, see sim.js)
+   - Keys 1-5 pick the built-in modes (labil, stable, reveal, wave, automaton), modes added with
+     rasterGrid.registerMode follow on 6-9
    - Mode 1: STABLE (calm, focused, monochrome)
    - Mode 2: LABIL (chaotic, expansive, colorful)
+   - Cell logic lives in sim.js (RasterSim), this file renders it and feeds it the pointers
+   - Multi-touch: every pointer / finger is ray cast and activates cells on its own
+   - ?seed=<n|text> makes a run reproducible; C records the input stream, P replays it (recorder.js)
+   - E exports fixed-timestep PNG frames as a zip (rasterGrid.exportFrames for fps/size options)
+   - V / Shift+V export the current composition as SVG / PDF (vector.js)
+   - D toggles the paint/edit mode: pin shapes, colors and angles by hand (editor.js)
+   - Attract mode: without input for ?idle=<s> seconds (default 30, 0 = off) a virtual pointer
+     follows ?path=lissajous|walk|scan|spiral, ?schedule=<s> alternates the modes; I starts it now (attract.js)
+   - S opens the settings panel: live mode parameters, named presets in localStorage,
+     JSON import/export (presets.js); ?preset=<name> loads one at startup
+   - Tile shapes come from a registry (shapes.js): built-ins plus shapes from SVG path data,
+     usable in every mode's shapeWeights
+   - O / drag-and-drop loads a picture as a mosaic the grid rests in, Shift+O clears it (image.js)
+   - Two-sided tiles: B loads a picture for the back faces, spread over the grid and revealed
+     as tiles turn over (mode 3, Reveal); rasterGrid.revealProgress() reports 0..1
+   - Audio: A plays a file (or drop one), Shift+A listens to the microphone; bands drive the
+     columns, beats send flip waves or switch modes (?beat=wave|mode|both|none) (audio.js)
+   - Remote control: ?remote=ws://host:port connects to a relay (node relay-server.js) for
+     JSON commands from a show-control computer (remote.js)
+   - window.rasterGrid is the public controller: setMode, toggleFreeze, resetGrid, getState/setState,
+     getCell(s), and events via on(type, fn): modechange, cellflip, cellrevert, freeze, reset (events.js)
+   - RasterGrid.createGrid() builds a grid on any canvas; the page's full-screen one is made below,
+     <raster-grid> elements embed more of them (element.js). ?mode= and ?palette=#hex,#hex work for both
+   - The simulation steps in a Web Worker where available (simworker.js, ?worker=0 turns it off)
+   - Accessibility: arrow keys move a cell cursor that activates cells like a pointer (Escape hides it),
+     the buttons carry aria-pressed and mode / freeze changes are announced; prefers-reduced-motion
+     (or ?motion=reduce|full) turns flutter off and slows the flips
+   - Transitions: mode switches and resets can run as a sweep, radial, spiral, diagonal, checkerboard
+     or random pattern (?transition=spiral+2+ease-out, T cycles the patterns; setMode / resetGrid
+     take one for a single switch), instead of each mode's own random dissolve
+   - Themes: ?theme=dark|light|high-contrast (L cycles them, rasterGrid.setTheme takes custom ones)
+     color the background, the resting tiles and the modes (themes.js)
 */
 (function () {
   if (typeof THREE === 'undefined') {
@@ -10,836 +44,2238 @@
     alert('Three.js did not load. Please check internet connection or file path.');
     return;
   }
-
-  // Grid config
-  const COLS = 40;
-  const ROWS = 40;
-  const TOTAL = COLS * ROWS;
-  const MAX_ANGLE_DEG = 180;
-  const MAX_ANGLE = MAX_ANGLE_DEG * Math.PI / 180;
-
-  // visual config
-  const BG = '#1a1a1a';
-  const FG = '#fff';
-
-  const canvas = document.getElementById('gridCanvas');
-  // Three.js setup
-  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
-  renderer.setPixelRatio(window.devicePixelRatio);
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  const scene = new THREE.Scene();
-  scene.background = new THREE.Color(BG);
-
-  // Lighting
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-  scene.add(ambientLight);
-
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1.8);
-  dirLight.position.set(-100, 40, 80);
-  dirLight.castShadow = true;
-  dirLight.shadow.mapSize.width = 4096;
-  dirLight.shadow.mapSize.height = 4096;
-  dirLight.shadow.bias = -0.0005;
-  dirLight.shadow.normalBias = 0.02;
-  dirLight.shadow.radius = 4; // Softer shadows
-  const d = 50;
-  dirLight.shadow.camera.left = -d;
-  dirLight.shadow.camera.right = d;
-  dirLight.shadow.camera.top = d;
-  dirLight.shadow.camera.bottom = -d;
-  scene.add(dirLight);
-
-  // Shadow receiver plane - Removed to prevent background shadows
-  // const planeGeom = new THREE.PlaneGeometry(200, 200);
-  // const planeMat = new THREE.ShadowMaterial({ opacity: 0.5 });
-  // const plane = new THREE.Mesh(planeGeom, planeMat);
-  // plane.position.z = -5;
-  // plane.receiveShadow = true;
-  // scene.add(plane);
-
-  // Camera will be set in resize
-  // Camera will be set in resize
-  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
-
-  const group = new THREE.Group();
-  scene.add(group);
-
-  const raycaster = new THREE.Raycaster();
-  const pointer = new THREE.Vector2();
-
-  // Geometries - centered at origin by default. 
-  // We want pivot at LEFT edge. 
-  // Width is 0.9. Left edge is at x = -0.45.
-  // To make origin (0,0) be the left edge, we shift vertices right by +0.45.
-  const geomSquare = new THREE.PlaneGeometry(0.9, 0.9);
-  geomSquare.translate(0.45, 0, 0);
-
-  const geomCircle = new THREE.CircleGeometry(0.45, 32);
-  geomCircle.translate(0.45, 0, 0);
-
-  // Square side is 0.9.
-  // We want equilateral triangle with side s=0.9.
-  // Radius R of circumcircle: s = R * sqrt(3) => R = s / sqrt(3).
-  const triRadius = 0.9 / Math.sqrt(3);
-  const geomTriangle = new THREE.CircleGeometry(triRadius, 3);
-  // Default points East (tip at +R, base at -R/2).
-  // We want the vertical base to be at the pivot (x=0).
-  // Base x is -R/2.
-  // Translate by +R/2.
-  geomTriangle.translate(triRadius / 2, 0, 0);
-
-  // Use InstancedMesh for performance (60fps with 1600 items)
-  // We need 3 layers: Squares, Circles, Triangles. 
-  // We'll toggle visibility by scaling 0 or moving instances to infinity, or just managing active set?
-  // Easiest: have all 3, and for each cell, set the matrix for the active shape and set others to scale=0.
-  // Easiest: have all 3, and for each cell, set the matrix for the active shape and set others to scale=0.
-  const mat = new THREE.MeshStandardMaterial({
-    color: 0xffffff,
-    side: THREE.DoubleSide,
-    roughness: 1,
-    metalness: 0
-  });
-
-  let meshSquares, meshCircles, meshTriangles, meshHit;
-
-  // Reuse convenient dummy for matrix calculations
-  const dummy = new THREE.Object3D();
-  const _color = new THREE.Color();
-
-  let MODE = 'labil'; // global mode state
-
-  // Mode settings - define behavior for each mode
-  const MODES = {
-    labil: {
-      startDeg: 30,
-      decay: 0.6,         // stronger falloff
-      minDeg: 4,
-      maxFlutterAmpDeg: 0.8, // very little flutter
-      minFlutterAmpDeg: 0.3,
-      flutterFreqMin: 0.3,
-      flutterFreqMax: 0.7,
-      colors: ['#888888', '#aaaaaa', '#666666'], // grayscale
-      shapeWeights: { square: 0.40, circle: 0.40, triangle: 0.20 }
-    },
-    stable: {
-      startDeg: 90,       // aggressive flip angle
-      decay: 0.78,         // softer falloff
-      minDeg: 6,
-      maxFlutterAmpDeg: 4.0, // strong flutter
-      minFlutterAmpDeg: 2.0,
-      flutterFreqMin: 0.8,
-      flutterFreqMax: 2.0,
-      colors: ['#3a5eff'], // accent color (blue)
-      shapeWeights: { square: 0.3, circle: 0.3, triangle: 0.4 }
-    }
-  };
-
-  // Function to get current mode config
-  function cfg() {
-    return MODES[MODE];
+  if (typeof RasterSim === 'undefined') {
+    console.error('sim.js not loaded');
+    return;
   }
 
-  // Build attenuation degs based on mode
-  function buildAttenuationDegs() {
-    const config = cfg();
-    const out = [];
-    let d = config.startDeg;
-    while (out.length < COLS && d >= config.minDeg) {
-      out.push(Math.max(0, Math.round(d)));
-      d *= config.decay;
-    }
-    if (out.length === 0) out.push(config.startDeg);
-    return out;
-  }
+  // Modes are global (RasterSim.MODES): one registered through any grid is every grid's, with its
+  // button and key on each. Workers only know the built-ins, so from then on no grid uses one.
+  const grids = new Set(); // each live grid's modeRegistered(name, mode)
+  let customModes = false;
+
+  // options: canvas (required); container for panels and file inputs (default: the canvas' parent);
+  // controls (element with the mode / freeze / reset buttons); params (URLSearchParams-like: the
+  // page query, or a <raster-grid>'s attributes); fullscreen (size to the viewport and take pointers
+  // from the whole page); keyTarget (where keys are heard, the window for the full-screen grid)
+  function createGrid(options) {
+    const opts = options || {};
+    const canvas = opts.canvas;
+    const container = opts.container || canvas.parentNode || document.body;
+    const controls = opts.controls || null;
+    const params = opts.params || new URLSearchParams();
+    const fullscreen = !!opts.fullscreen;
+    const keyTarget = opts.keyTarget || (fullscreen ? window : null);
+    const cleanup = []; // undone by destroy()
+
+    function listen(target, type, fn, listenOptions) {
+      target.addEventListener(type, fn, listenOptions);
+      cleanup.push(() => target.removeEventListener(type, fn, listenOptions));
+    }
 
-  let ATTENUATION_DEGS = buildAttenuationDegs();
-  let HORIZ_RADIUS = ATTENUATION_DEGS.length - 1;
-
-  // state for each cell
-  const cells = new Array(TOTAL);
-
-  function initCells() {
-    for (let r = 0; r < ROWS; r++) {
-      for (let c = 0; c < COLS; c++) {
-        const idx = r * COLS + c;
-        cells[idx] = {
-          shape: 'square',
-          color: '#ffffff',
-          angle: 0,
-          targetAngle: 0,
-          zOffset: 0,
-          lastActivationSeed: -1,
-          pendingShape: null,
-          pendingColor: null,
-          reaction: 0,
-          flipped: false,
-          flippedMaxAngle: null,
-          flutterPhase: Math.random() * Math.PI * 2,
-          flutterFreq: 0.6 + Math.random() * 1.4,
-          flutterAmpDeg: 2.0 + Math.random() * 3.0,
-          currentIntensity: 0,
-          flutterActive: false,
-          baseFlutterAmpDeg: 2.0 + Math.random() * 3.0,
-          baseFlutterFreq: 0.6 + Math.random() * 1.4,
-          // stability helpers for STABLE mode
-          labilActivationCount: 0,
-          labilLastSeed: -1,
-          cooldown: 0,
-          // time in seconds until this cell reverts to default (white square) in STABLE mode
-          revertTimer: null,
-          // which mode last modified this cell: 'labil', 'stable' or null
-          modifiedBy: null,
-          // revert helpers for slow/staggered reverting
-          reverting: false,
-          revertSpeedMult: 1,
-          morphTimer: 0 // timer for random shape shuffling in labil mode
-        };
+    // panels and hidden inputs live next to the canvas
+    function attach(el) {
+      container.appendChild(el);
+      cleanup.push(() => el.remove());
+    }
+
+    let dpr = 1;
+
+    // visual config: colors come from the theme (themes.js), ?theme=<name>
+    let themeName = RasterThemes.getTheme(params.get('theme')) ? params.get('theme') : RasterThemes.DEFAULT_THEME;
+    let theme = RasterThemes.getTheme(themeName);
+
+    // Three.js setup
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(theme.background);
+
+    // Lighting
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+    scene.add(ambientLight);
+
+    const dirLight = new THREE.DirectionalLight(0xffffff, 1.8);
+    dirLight.position.set(-100, 40, 80);
+    dirLight.castShadow = true;
+    dirLight.shadow.mapSize.width = 4096;
+    dirLight.shadow.mapSize.height = 4096;
+    dirLight.shadow.bias = -0.0005;
+    dirLight.shadow.normalBias = 0.02;
+    dirLight.shadow.radius = 4; // Softer shadows
+    const d = 50;
+    dirLight.shadow.camera.left = -d;
+    dirLight.shadow.camera.right = d;
+    dirLight.shadow.camera.top = d;
+    dirLight.shadow.camera.bottom = -d;
+    scene.add(dirLight);
+
+    // Shadow receiver plane - Removed to prevent background shadows
+    // const planeGeom = new THREE.PlaneGeometry(200, 200);
+    // const planeMat = new THREE.ShadowMaterial({ opacity: 0.5 });
+    // const plane = new THREE.Mesh(planeGeom, planeMat);
+    // plane.position.z = -5;
+    // plane.receiveShadow = true;
+    // scene.add(plane);
+
+    // Camera will be set in resize
+    // Camera will be set in resize
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+
+    const group = new THREE.Group();
+    scene.add(group);
+
+    const raycaster = new THREE.Raycaster();
+
+    // Every registered shape (shapes.js) is a layer of its own: an instanced mesh for the front
+    // faces and one for the back, drawing only the tiles that have that shape right now, so a tile
+    // costs the vertices of its own shape however many shapes are registered. Outlines are fitted
+    // into the tile with their left edge on the flip pivot (x = 0). Layers are made when a shape is
+    // first drawn and grow as tiles move in (see placeTile).
+    let shapeSlots = {};  // shape name -> index into shapeLayers
+    let shapeLayers = []; // per shape slot, null until used
+    const LAYER_START = 256; // instances a new layer has room for
+
+    function shapeGeometry(name) {
+      const shapes = RasterShapes.getShape(name).groups.map((g) => {
+        const shape = new THREE.Shape(g.outer.map((p) => new THREE.Vector2(p[0], p[1])));
+        g.holes.forEach((h) => shape.holes.push(new THREE.Path(h.map((p) => new THREE.Vector2(p[0], p[1])))));
+        return shape;
+      });
+      return new THREE.ShapeGeometry(shapes);
+    }
+
+    // The tiles animate on the GPU. Per instance:
+    //   instanceAnim    (from, to, rate, start): the flip angle eases exponentially from `from`
+    //                   towards `to` since `start`, like the simulation's own easing
+    //   instanceFlutter (amplitude, angular frequency, phase): sine wobble on top
+    //   instanceCell    (col, row): where the tile sits, for the back image
+    // instanceMatrix only holds the pivot position. tileTime follows the simulation clock,
+    // so the CPU writes an instance only when its motion changes (see syncInstances).
+    const tileUniforms = {
+      tileTime: { value: 0 },
+      tileZ: { value: 0 } // z lift of a tile turned 90 degrees (mode zMult)
+    };
+    const TILE_VERTEX_HEAD = [
+      'attribute vec4 instanceAnim;',
+      'attribute vec3 instanceFlutter;',
+      'uniform float tileTime;',
+      'uniform float tileZ;',
+      'float tileEase() {',
+      '  return instanceAnim.y + (instanceAnim.x - instanceAnim.y) * exp(-instanceAnim.z * max(0.0, tileTime - instanceAnim.w));',
+      '}',
+      'float tileAngle() {',
+      '  return tileEase() + instanceFlutter.x * sin(tileTime * instanceFlutter.y + instanceFlutter.z);',
+      '}',
+      // turn about the pivot's Y axis, the tile's right edge lifts towards the viewer
+      'vec3 tileFlip(vec3 v, float a) {',
+      '  float c = cos(a);',
+      '  float s = sin(a);',
+      '  return vec3(c * v.x - s * v.z, v.y, s * v.x + c * v.z);',
+      '}',
+      ''
+    ].join('\n');
+
+    // Flip and lift for every material drawing the tiles (front, back and shadow depth)
+    function tileShader(shader) {
+      shader.uniforms.tileTime = tileUniforms.tileTime;
+      shader.uniforms.tileZ = tileUniforms.tileZ;
+      shader.vertexShader = TILE_VERTEX_HEAD + shader.vertexShader
+        .replace('#include <beginnormal_vertex>', [
+          '#include <beginnormal_vertex>',
+          'objectNormal = tileFlip(objectNormal, tileAngle());'
+        ].join('\n'))
+        .replace('#include <begin_vertex>', [
+          '#include <begin_vertex>',
+          'transformed = tileFlip(transformed, tileAngle());',
+          'transformed.z += sin(tileEase()) * tileZ;'
+        ].join('\n'));
+    }
+
+    // Use InstancedMesh for performance: per shape layer one for the front faces (`mat`), one for
+    // the back faces (`backMat`), sharing the geometry and the instance matrices.
+    const mat = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      side: THREE.FrontSide,
+      shadowSide: THREE.DoubleSide,
+      roughness: 1,
+      metalness: 0
+    });
+    mat.onBeforeCompile = tileShader;
+    const depthMat = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    depthMat.onBeforeCompile = tileShader;
+
+    // Back faces show the cell color, or with a back image (B) their slice of it:
+    // the picture is spread over the whole grid and appears as tiles turn over.
+    // instanceCell (col, row) picks the slice; u runs backwards so it reads right way round when flipped.
+    // Turned over about its left pivot a tile lies over the column before its own, so it shows that one's slice.
+    const backUniforms = { gridSize: { value: new THREE.Vector2(1, 1) } };
+    const backMat = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      side: THREE.BackSide,
+      roughness: 1,
+      metalness: 0
+    });
+    backMat.onBeforeCompile = (shader) => {
+      tileShader(shader);
+      shader.uniforms.gridSize = backUniforms.gridSize;
+      const tile = RasterShapes.TILE.toFixed(4);
+      shader.vertexShader = 'uniform vec2 gridSize;\n' +
+        shader.vertexShader.replace('#include <uv_vertex>', [
+          '#include <uv_vertex>',
+          '#ifdef USE_MAP',
+          '  vUv = vec2((instanceCell.x - position.x / ' + tile + ') / gridSize.x,',
+          '    1.0 - (instanceCell.y + 0.5 - position.y / ' + tile + ') / gridSize.y);',
+          '#endif'
+        ].join('\n'));
+    };
+    let backTexture = null;
+    let backSource = null; // picture behind the back texture, re-cropped when the grid aspect changes
+
+    let meshHit;
+    // What each tile was last drawn with; only tiles that differ are written
+    // and only the changed span of each layer's buffers is uploaded (see syncInstances)
+    let drawnShape = null;  // Int16Array, per cell its shape slot (-1 = not drawn yet)
+    let instanceOf = null;  // Int32Array, per cell its instance in that shape's layer
+    let drawnColor = [];    // hex strings
+    let layoutDirty = true; // pivot positions (grid size, offsets)
+    let timeBase = 0;       // tileTime = sim.time - timeBase, rebased to keep float precision
+    let stepDelta = 1 / 60; // s the simulation last stepped by, its easing per step depends on it
+
+
+    const _color = new THREE.Color();
+
+    // Grid size from URL: ?cols=24&rows=60 or ?grid=24x60, PRNG seed from ?seed=,
+    // start mode from ?mode=, colors for this grid from ?palette=#hex,#hex
+    function readUrlParams() {
+      let cols = RasterSim.DEFAULT_COLS;
+      let rows = RasterSim.DEFAULT_ROWS;
+      const grid = params.get('grid');
+      if (grid) {
+        const m = /^(\d+)x(\d+)$/i.exec(grid.trim());
+        if (m) {
+          cols = RasterSim.clampDim(m[1], cols);
+          rows = RasterSim.clampDim(m[2], rows);
+        }
       }
+      if (params.has('cols')) cols = RasterSim.clampDim(params.get('cols'), cols);
+      if (params.has('rows')) rows = RasterSim.clampDim(params.get('rows'), rows);
+      let seed = params.get('seed');
+      if (seed && /^\d+$/.test(seed)) seed = Number(seed);
+      const palette = params.get('palette');
+      return {
+        cols,
+        rows,
+        seed,
+        mode: params.get('mode') || 'labil',
+        palette: palette ? palette.split(',').map((c) => c.trim()) : null,
+        theme: RasterThemes.simColors(theme),
+        transition: params.get('transition')
+      };
     }
-  }
 
-  // Initialize
-  initCells();
-  initMeshes();
-
-  function initMeshes() {
-    // clear group
-    while (group.children.length > 0) {
-      group.remove(group.children[0]);
-    }
-
-    meshSquares = new THREE.InstancedMesh(geomSquare, mat, TOTAL);
-    meshCircles = new THREE.InstancedMesh(geomCircle, mat, TOTAL);
-    meshTriangles = new THREE.InstancedMesh(geomTriangle, mat, TOTAL);
-
-    meshSquares.castShadow = true;
-    meshSquares.receiveShadow = true;
-    meshCircles.castShadow = true;
-    meshCircles.receiveShadow = true;
-    meshTriangles.castShadow = true;
-    meshTriangles.receiveShadow = true;
-
-    // Hit plane for labil interaction
-    const geomHit = new THREE.PlaneGeometry(1, 1);
-    const matHit = new THREE.MeshBasicMaterial({ visible: false }); // Invisible
-    meshHit = new THREE.Mesh(geomHit, matHit);
-
-    // Allocate color buffers (required for setColorAt in older/standard three.js usage)
-    meshSquares.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(TOTAL * 3), 3);
-    meshCircles.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(TOTAL * 3), 3);
-    meshTriangles.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(TOTAL * 3), 3);
-
-    // Performance hint
-    meshSquares.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-    meshCircles.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-    meshTriangles.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-
-    group.add(meshSquares);
-    group.add(meshCircles);
-    group.add(meshTriangles);
-    group.add(meshHit);
-  }
+    // Controller events (rasterGrid.on): modechange, cellflip, cellrevert, freeze, reset, see events.js.
+    // The offline frame exporter replays the simulation, its steps stay quiet.
+    const events = RasterEvents.createEmitter();
 
-  let canvasW = 0, canvasH = 0;
-  let tile = 0; // tile size px
-  let gridW = 0, gridH = 0, offsetX = 0, offsetY = 0;
-
-  // pointer state
-  let mouseX = null;
-  let mouseY = null;
-  let activationSeed = 0; // increments when pointer moves to mark new activations
-  let prevActiveCol = -1; // track previous active column so seed only increments on column change
-  let prevActiveRow = -1; // track previous active row so seed only increments on row change
-  let isFrozen = false; // freeze state toggle
-
-  function resize() {
-    dpr = window.devicePixelRatio || 1;
-    // Prefer visualViewport for mobile to handle keyboards/URL bars better
-    if (window.visualViewport) {
-      canvasW = window.visualViewport.width;
-      canvasH = window.visualViewport.height;
-    } else {
-      canvasW = window.innerWidth;
-      canvasH = window.innerHeight;
+    // while the worker runs the steps, its events are the ones that count
+    function onSimEvent(type, detail) {
+      if (!exporting && !(simWorker && simWorker.live)) events.emit(type, detail);
+    }
+
+    // Simulation (cell state + mode logic), see sim.js
+    const sim = RasterSim.createSimulation(Object.assign({ onEvent: onSimEvent }, readUrlParams()));
+
+    // The steps run in a worker where possible (?worker=0 keeps them here); sim stays the
+    // replica everything else reads and calls, see simworker.js
+    const simWorker = typeof RasterSimWorker !== 'undefined' && params.get('worker') !== '0' && !customModes
+      ? RasterSimWorker.createClient(sim, { onEvent: (type, detail) => { if (!exporting) events.emit(type, detail); } })
+      : null;
+
+    // Attract / idle mode, see attract.js
+    function readAttractParams() {
+      const opts = {};
+      if (params.has('idle')) opts.timeout = Math.max(0, Number(params.get('idle')) || 0);
+      if (params.has('path')) opts.path = params.get('path');
+      if (params.has('cycle')) opts.cycle = Math.max(0, Number(params.get('cycle')) || 0);
+      const every = Number(params.get('schedule'));
+      if (every > 0) opts.schedule = { modes: ['labil', 'stable'], interval: every };
+      return opts;
     }
 
-    renderer.setSize(canvasW, canvasH);
-    renderer.setPixelRatio(dpr);
+    const attract = RasterAttract.createAttract(Object.assign({
+      random: RasterSim.createRandom(),
+      onMode: (name) => { if (RasterSim.MODES[name] && name !== sim.mode) setMode(name); }
+    }, readAttractParams()));
+
+    // Input recording / replay, see recorder.js
+    const recorder = RasterRecorder.createRecorder();
+    let player = null; // active replay, live input is ignored while set
+    let lastRecording = null;
+
+    // Register a mode with the simulation and give it a button on every grid; keys follow
+    // registration order, so custom modes come after the five built-ins on 6-9
+    function registerMode(name, def) {
+      const mode = RasterSim.registerMode(name, def);
+      customModes = true;
+      grids.forEach((modeRegistered) => modeRegistered(name, mode));
+      return mode;
+    }
 
-    camera.aspect = canvasW / canvasH;
-    camera.updateProjectionMatrix();
+    function modeRegistered(name, mode) {
+      // hooks are functions, the worker cannot have them
+      if (simWorker) simWorker.disable();
+      ensureModeButton(name, mode.label);
+      // re-registering the active mode applies its new parameters right away
+      if (name === sim.mode) sim.refreshAttenuation();
+    }
+    grids.add(modeRegistered);
+    cleanup.push(() => grids.delete(modeRegistered));
+
+    // One button per mode in the controls (built-ins already exist in the page markup)
+    function ensureModeButton(name, label) {
+      if (!controls) return;
+      let btn = controls.querySelector('button[data-mode="' + name + '"]');
+      if (!btn) {
+        btn = document.createElement('button');
+        btn.type = 'button';
+        btn.dataset.mode = name;
+        btn.textContent = label;
+        controls.insertBefore(btn, controls.querySelector('[data-action="freeze"]'));
+      }
+      btn.setAttribute('aria-pressed', String(name === sim.mode));
+      if (btn.dataset.bound) return;
+      btn.dataset.bound = '1';
+      btn.addEventListener('click', (e) => { e.stopPropagation(); setMode(name); });
+    }
 
-    // Fit grid (40x40 units)
-    tile = 1;
-    gridW = COLS * tile;
-    gridH = ROWS * tile;
+    RasterSim.MODE_ORDER.forEach((name) => ensureModeButton(name, RasterSim.MODES[name].label));
+
+    // Register a tile shape (see shapes.js for the definition formats) and give it a layer.
+    // Modes pick it up through shapeWeights, e.g. setModeParams('labil', { shapeWeights: { hexagon: 1 } }).
+    function registerShape(name, def) {
+      const shape = RasterShapes.registerShape(name, def);
+      initMeshes();
+      resize();
+      // palette and settings list the shapes
+      if (palette) {
+        palette.remove();
+        palette = null;
+        if (editing) setEditing(true);
+      }
+      if (settings && !settings.el.hidden) settings.refresh();
+      return shape;
+    }
 
-    // ORTHOGRAPHIC LOGIC - Cover Strategy
-    // If portrait (aspect < 1), fit to Height to avoid black bars on top/bottom.
-    // If landscape (aspect >= 1), fit to Width.
+    // Load a shape from an SVG file (all <path> elements), named after the file
+    function loadShapeFile(file, name) {
+      return file.text().then((text) => registerShape(name || file.name.replace(/\.svg$/i, ''), { svg: text }));
+    }
 
-    let viewSizeW, viewSizeH;
+    // Initialize
+    initMeshes();
+
+    function initMeshes() {
+      const TOTAL = sim.cols * sim.rows;
+      // clear group (and free the GPU buffers of the previous grid size)
+      while (group.children.length > 0) {
+        const child = group.children[0];
+        group.remove(child);
+        if (child.isInstancedMesh) child.dispose();
+        if (child === meshHit) {
+          child.geometry.dispose();
+          child.material.dispose();
+        }
+      }
 
-    if (camera.aspect >= 1) {
-      // Landscape/Desktop: Fit Width (show full 40 columns)
-      viewSizeW = gridW;
-      viewSizeH = gridW / camera.aspect;
-    } else {
-      // Portrait/Mobile: Fit Height (show full 40 rows, crop sides)
-      viewSizeH = gridH;
-      viewSizeW = gridH * camera.aspect;
+      shapeLayers.forEach((layer) => { if (layer) layer.geometry.dispose(); });
+      shapeSlots = {};
+      shapeLayers = RasterShapes.SHAPE_ORDER.map((name, slot) => {
+        shapeSlots[name] = slot;
+        return null;
+      });
+      backUniforms.gridSize.value.set(sim.cols, sim.rows);
+
+      drawnShape = new Int16Array(TOTAL).fill(-1);
+      instanceOf = new Int32Array(TOTAL);
+      drawnColor = new Array(TOTAL).fill(null);
+      layoutDirty = true;
+
+      // Hit plane for labil interaction
+      const geomHit = new THREE.PlaneGeometry(1, 1);
+      const matHit = new THREE.MeshBasicMaterial({ visible: false }); // Invisible
+      meshHit = new THREE.Mesh(geomHit, matHit);
+      group.add(meshHit);
     }
 
-    camera.left = -viewSizeW / 2;
-    camera.right = viewSizeW / 2;
-    camera.top = viewSizeH / 2;
-    camera.bottom = -viewSizeH / 2;
+    let canvasW = 0, canvasH = 0;
+    let tile = 0; // tile size px
+    let gridW = 0, gridH = 0, offsetX = 0, offsetY = 0;
+
+    // pointer state: every active pointer / touch, id -> NDC position
+    const pointers = new Map();
+    let isFrozen = false; // freeze state toggle
+
+    function resize() {
+      dpr = window.devicePixelRatio || 1;
+      if (!fullscreen) {
+        // embedded: the element's box decides, the canvas fills it by CSS
+        canvasW = Math.max(1, canvas.clientWidth);
+        canvasH = Math.max(1, canvas.clientHeight);
+      } else if (window.visualViewport) {
+        // Prefer visualViewport for mobile to handle keyboards/URL bars better
+        canvasW = window.visualViewport.width;
+        canvasH = window.visualViewport.height;
+      } else {
+        canvasW = window.innerWidth;
+        canvasH = window.innerHeight;
+      }
+
+      renderer.setSize(canvasW, canvasH, fullscreen);
+      renderer.setPixelRatio(dpr);
+
+      // Fit grid (cols x rows units)
+      tile = 1;
+      gridW = sim.cols * tile;
+      gridH = sim.rows * tile;
+
+      fitCamera(camera, canvasW, canvasH);
 
-    camera.position.z = 100;
-    camera.position.x = 0;
-    camera.position.y = -20;
-    camera.lookAt(0, 0, 0);
-    camera.updateProjectionMatrix();
+      // Calculate offsets (top-left of the grid in 3D space)
+      offsetX = -gridW / 2;
+      offsetY = gridH / 2;
+      layoutDirty = true;
 
-    // Calculate offsets (top-left of the grid in 3D space)
-    offsetX = -gridW / 2;
-    offsetY = gridH / 2;
+      // Update Hit Plane to match Grid Size exactly
+      if (meshHit) {
+        meshHit.scale.set(gridW, gridH, 1);
+        meshHit.position.set(0, 0, 0);
+      }
 
-    // Update Hit Plane to match Grid Size exactly
-    if (meshHit) {
-      meshHit.scale.set(gridW, gridH, 1);
-      meshHit.position.set(0, 0, 0);
+      // Shadow frustum has to cover the whole grid (default 40x40 => 50)
+      const shadowExtent = Math.max(d, Math.max(gridW, gridH) / 2 + 10);
+      dirLight.shadow.camera.left = -shadowExtent;
+      dirLight.shadow.camera.right = shadowExtent;
+      dirLight.shadow.camera.top = shadowExtent;
+      dirLight.shadow.camera.bottom = -shadowExtent;
+      dirLight.shadow.camera.updateProjectionMatrix();
     }
-  }
 
-  function randShape() {
-    const weights = cfg().shapeWeights;
-    const r = Math.random();
-    const cumSquare = weights.square;
-    const cumCircle = cumSquare + weights.circle;
+    // Point the orthographic camera at the grid for a viewW x viewH viewport
+    function fitCamera(cam, viewW, viewH) {
+      cam.aspect = viewW / viewH;
+
+      // ORTHOGRAPHIC LOGIC - Cover Strategy
+      // Compare the screen aspect with the grid aspect (1 for the default 40x40):
+      // if the screen is relatively wider than the grid, fit to Width (crop top/bottom),
+      // otherwise fit to Height (crop sides). No black bars either way.
+
+      let viewSizeW, viewSizeH;
+      const gridAspect = gridW / gridH;
+
+      if (cam.aspect >= gridAspect) {
+        // Wider than the grid: Fit Width (show all columns)
+        viewSizeW = gridW;
+        viewSizeH = gridW / cam.aspect;
+      } else {
+        // Taller than the grid: Fit Height (show all rows, crop sides)
+        viewSizeH = gridH;
+        viewSizeW = gridH * cam.aspect;
+      }
 
-    if (r < cumSquare) return 'square';
-    if (r < cumCircle) return 'circle';
-    return 'triangle';
-  }
+      cam.left = -viewSizeW / 2;
+      cam.right = viewSizeW / 2;
+      cam.top = viewSizeH / 2;
+      cam.bottom = -viewSizeH / 2;
 
-  function randColor() {
-    const colors = cfg().colors;
-    return colors[Math.floor(Math.random() * colors.length)];
-  }
+      cam.position.z = 100;
+      cam.position.x = 0;
+      cam.position.y = -20;
+      cam.lookAt(0, 0, 0);
+      cam.updateProjectionMatrix();
+    }
 
-  function onPointerMove(e) {
-    const x = (e.clientX !== undefined ? e.clientX : e.touches && e.touches[0].clientX);
-    const y = (e.clientY !== undefined ? e.clientY : e.touches && e.touches[0].clientY);
+    // Rebuild cells and instance buffers for a new grid size, without reloading
+    function setGridSize(cols, rows) {
+      stopReplay();
+      if (!sim.setGridSize(cols, rows)) return;
+      editor.resetHistory();
+      recorder.event('grid', [sim.cols, sim.rows]);
+      // the mosaic is resampled for the new size, the back image re-cropped
+      if (mosaic) applyImage();
+      if (backSource) updateBackTexture();
+      initMeshes();
+      resize();
+    }
 
-    // NDC: -1 to +1
-    pointer.x = (x / window.innerWidth) * 2 - 1;
-    pointer.y = -(y / window.innerHeight) * 2 + 1;
+    function getGridSize() {
+      return { cols: sim.cols, rows: sim.rows };
+    }
 
-    mouseX = x; // Keep for fallback? logic mostly replaced
-    mouseY = y;
-  }
+    // Client coordinates to NDC (-1 to +1) of this grid's canvas
+    function toNDC(x, y) {
+      const rect = canvas.getBoundingClientRect();
+      return new THREE.Vector2(((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1);
+    }
 
-  window.addEventListener('mousemove', onPointerMove, { passive: true });
-  window.addEventListener('touchmove', onPointerMove, { passive: true });
-  window.addEventListener('touchstart', onPointerMove, { passive: true }); // Add touchstart
-  window.addEventListener('resize', resize);
-  if (window.visualViewport) {
-    window.visualViewport.addEventListener('resize', resize);
-  }
+    function setPointer(id, x, y) {
+      attract.input();
+      pointers.set(id, toNDC(x, y));
+    }
 
-  // Button Controls
-  const btnLabil = document.getElementById('btnLabil');
-  const btnStable = document.getElementById('btnStable');
-  const btnFreeze = document.getElementById('btnFreeze');
-  const btnReset = document.getElementById('btnReset');
-
-  if (btnLabil) btnLabil.addEventListener('click', (e) => { e.stopPropagation(); setMode('labil'); });
-  if (btnStable) btnStable.addEventListener('click', (e) => { e.stopPropagation(); setMode('stable'); });
-  if (btnFreeze) btnFreeze.addEventListener('click', (e) => { e.stopPropagation(); toggleFreeze(); });
-  if (btnReset) btnReset.addEventListener('click', (e) => { e.stopPropagation(); resetGrid(); });
-
-  function setMode(newMode) {
-    if (newMode === 'labil') {
-      MODE = 'labil';
-      ATTENUATION_DEGS = buildAttenuationDegs();
-      HORIZ_RADIUS = ATTENUATION_DEGS.length - 1;
-      console.log('Mode: LABIL'); // Fixed log needed to match logic? No, logic was inverted in logs before? 
-      // Checking previous logic: if key='1' (Labil), it logged STABLE. Wait.
-      // User requested "Mode Name Swapping" in history.
-      // Let's check the code:
-      // key='1' => MODE='labil'.
-      // key='2' => MODE='stable'.
-
-      // Revert logic for 'labil' mode transition:
-      const stableIdx = [];
-      for (let i = 0; i < cells.length; i++) {
-        if (cells[i].modifiedBy === 'stable') stableIdx.push(i);
-      }
-      stableIdx.sort(() => Math.random() - 0.5);
-      const baseDelayL = 0.12;
-      const staggerL = 0.06;
-      const jitterL = 0.5;
-      for (let k = 0; k < stableIdx.length; k++) {
-        const idx = stableIdx[k];
-        const linear = baseDelayL + k * staggerL;
-        const longTail = Math.pow(Math.random(), 2) * 0.9;
-        const spread = (Math.random() - 0.5) * jitterL;
-        const delay = Math.max(0.02, linear + spread + longTail);
-        const cell = cells[idx];
-        cell.targetAngle = 0;
-        cell.reverting = true;
-        cell.revertSpeedMult = 0.25 + Math.random() * 0.35;
-        cell.flutterActive = false;
-        cell.revertTimer = delay + 0.6 + Math.random() * 0.8;
-      }
-    } else if (newMode === 'stable') {
-      MODE = 'stable';
-      ATTENUATION_DEGS = buildAttenuationDegs();
-      HORIZ_RADIUS = ATTENUATION_DEGS.length - 1;
-      console.log('Mode: STABLE');
-
-      for (let i = 0; i < cells.length; i++) {
-        const cell = cells[i];
-        if (cell.modifiedBy === 'stable') {
-          cell.revertTimer = null;
-          cell.reverting = false;
-          cell.revertSpeedMult = 1;
-          cell.flutterActive = true;
-          cell.currentIntensity = 1.0;
-          if (cell.color === '#ffffff') cell.color = '#3a5eff';
-        }
+    function onPointerMove(e) {
+      setPointer(e.pointerId, e.clientX, e.clientY);
+    }
+
+    function onPointerEnd(e) {
+      // the mouse keeps hovering where it was, fingers lift off
+      if (e.pointerType !== 'mouse') pointers.delete(e.pointerId);
+    }
+
+    function onTouch(e) {
+      for (let i = 0; i < e.changedTouches.length; i++) {
+        const t = e.changedTouches[i];
+        if (e.type === 'touchend' || e.type === 'touchcancel') pointers.delete('touch' + t.identifier);
+        else setPointer('touch' + t.identifier, t.clientX, t.clientY);
       }
-      const labilIdx = [];
-      for (let i = 0; i < cells.length; i++) {
-        if (cells[i].modifiedBy === 'labil') labilIdx.push(i);
+    }
+
+    // the full-screen grid follows pointers anywhere on the page, an embedded one only over itself
+    const pointerTarget = fullscreen ? window : canvas;
+    if (window.PointerEvent) {
+      listen(pointerTarget, 'pointermove', onPointerMove, { passive: true });
+      listen(pointerTarget, 'pointerdown', onPointerMove, { passive: true });
+      listen(pointerTarget, 'pointerup', onPointerEnd, { passive: true });
+      listen(pointerTarget, 'pointercancel', onPointerEnd, { passive: true });
+      if (!fullscreen) listen(canvas, 'pointerleave', (e) => pointers.delete(e.pointerId), { passive: true });
+    } else {
+      // older browsers: mouse + touch events
+      listen(pointerTarget, 'mousemove', (e) => setPointer('mouse', e.clientX, e.clientY), { passive: true });
+      if (!fullscreen) listen(canvas, 'mouseleave', () => pointers.delete('mouse'), { passive: true });
+      listen(pointerTarget, 'touchstart', onTouch, { passive: true });
+      listen(pointerTarget, 'touchmove', onTouch, { passive: true });
+      listen(pointerTarget, 'touchend', onTouch, { passive: true });
+      listen(pointerTarget, 'touchcancel', onTouch, { passive: true });
+    }
+    if (fullscreen) {
+      listen(window, 'resize', resize);
+      if (window.visualViewport) listen(window.visualViewport, 'resize', resize);
+    } else if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(() => resize());
+      observer.observe(canvas);
+      cleanup.push(() => observer.disconnect());
+    }
+
+    // Embedded grids scrolled out of view skip their frames
+    let visible = true;
+    if (!fullscreen && typeof IntersectionObserver !== 'undefined') {
+      const observer = new IntersectionObserver((entries) => {
+        visible = entries[entries.length - 1].isIntersecting;
+      });
+      observer.observe(canvas);
+      cleanup.push(() => observer.disconnect());
+    }
+
+    // Button Controls (mode buttons are wired by registerMode)
+    if (controls) {
+      const btnFreeze = controls.querySelector('[data-action="freeze"]');
+      const btnReset = controls.querySelector('[data-action="reset"]');
+      if (btnFreeze) btnFreeze.addEventListener('click', (e) => { e.stopPropagation(); toggleFreeze(); });
+      if (btnReset) btnReset.addEventListener('click', (e) => { e.stopPropagation(); resetGrid(); });
+    }
+
+    // Commands go through here so the recorder sees them; any live command ends a replay.
+    // transition: for this switch only instead of the default (see setTransition), null for none
+    function setMode(name, transition) {
+      stopReplay();
+      sim.setMode(name, transition);
+      recorder.event('mode', transition === undefined ? name : [name, transition]);
+    }
+
+    // value: true / false to freeze / unfreeze, omitted to toggle
+    function toggleFreeze(value) {
+      if (typeof value === 'boolean' && value === isFrozen) return;
+      stopReplay();
+      isFrozen = !isFrozen;
+      recorder.event('freeze', isFrozen);
+      events.emit('freeze', { frozen: isFrozen });
+    }
+
+    function resetGrid(transition) {
+      stopReplay();
+      sim.reset(transition);
+      editor.resetHistory();
+      recorder.event('reset', transition);
+    }
+
+    // Theme by name (RasterThemes.THEME_ORDER) or a custom one: { background, ink, rest, accent,
+    // modes, base } (see themes.js). Its tile colors are simulation state, recorded like a command.
+    function setTheme(value) {
+      const next = typeof value === 'string'
+        ? RasterThemes.getTheme(value)
+        : RasterThemes.createTheme(Object.assign({ label: 'Custom' }, value), RasterThemes.getTheme(value && value.base));
+      if (!next) throw new Error('Unknown theme: ' + value);
+      stopReplay();
+      // a brush still on the old accent takes the new one, a color picked by hand stays
+      if (editor.brush.color === theme.accent) editor.brush.color = next.accent;
+      theme = next;
+      themeName = typeof value === 'string' ? value : 'custom';
+      recorder.event('theme', sim.setTheme(RasterThemes.simColors(theme)));
+      applyTheme();
+      return themeName;
+    }
+
+    // The page's side of the theme: background (canvas and container), cursor, brush swatches
+    function applyTheme() {
+      scene.background.set(theme.background);
+      container.style.setProperty('--grid-background', theme.background);
+      container.style.setProperty('--grid-ink', theme.ink);
+      cursorMesh.material.color.set(theme.ink);
+      if (palette) {
+        palette.remove();
+        palette = null;
+        if (editing) setEditing(true);
       }
-      labilIdx.sort(() => Math.random() - 0.5);
-      const baseDelay = 0.06;
-      const stagger = 0.04;
-      const jitter = 0.35;
-      for (let k = 0; k < labilIdx.length; k++) {
-        const idx = labilIdx[k];
-        const linear = baseDelay + k * stagger;
-        const longTail = Math.pow(Math.random(), 2) * 0.6;
-        const spread = (Math.random() - 0.5) * jitter;
-        const delay = Math.max(0.02, linear + spread + longTail);
-        cells[idx].revertTimer = delay;
+    }
+
+    // Default transition of mode switches and resets: { pattern, duration, easing }, a string
+    // "pattern [duration] [easing]" or null for the modes' own random dissolve
+    function setTransition(value) {
+      stopReplay();
+      const transition = sim.setTransition(value);
+      recorder.event('transition', transition);
+      return transition;
+    }
+
+    // Reduced motion follows prefers-reduced-motion unless ?motion=reduce|full decides.
+    // It is simulation state (no flutter, slower flips), so it is recorded like a command.
+    const motionQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    function preferredMotion() {
+      const forced = params.get('motion');
+      if (forced === 'reduce' || forced === 'full') return forced === 'reduce';
+      return !!(motionQuery && motionQuery.matches);
+    }
+
+    function setReducedMotion(on) {
+      if (!!on === sim.reducedMotion) return;
+      sim.setReducedMotion(!!on);
+      recorder.event('motion', !!on);
+    }
+
+    setReducedMotion(preferredMotion());
+    if (motionQuery) listen(motionQuery, 'change', () => setReducedMotion(preferredMotion()));
+
+    // Assistive tech: the mode and freeze buttons carry aria-pressed and a polite live region
+    // announces mode and freeze changes. Checked once per frame, whoever made the change.
+    const announcer = document.createElement('div');
+    announcer.className = 'grid-status';
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    attach(announcer);
+    let shownMode = sim.mode;
+    let shownFrozen = isFrozen;
+
+    // One-off news from the keys (recording, replay, ...) goes out through the same region
+    function announce(text) {
+      announcer.textContent = text;
+    }
+
+    function syncControls() {
+      if (sim.mode === shownMode && isFrozen === shownFrozen) return;
+      const news = [];
+      if (sim.mode !== shownMode) news.push('Mode: ' + (RasterSim.MODES[sim.mode] ? RasterSim.MODES[sim.mode].label : sim.mode));
+      if (isFrozen !== shownFrozen) news.push(isFrozen ? 'Frozen' : 'Running');
+      shownMode = sim.mode;
+      shownFrozen = isFrozen;
+      announcer.textContent = news.join(', ');
+      if (!controls) return;
+      controls.querySelectorAll('button[data-mode]').forEach((btn) => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.mode === sim.mode));
+      });
+      const btnFreeze = controls.querySelector('[data-action="freeze"]');
+      if (btnFreeze) btnFreeze.setAttribute('aria-pressed', String(isFrozen));
+    }
+
+    // Edit / paint mode: clicking or dragging pins cells to the brush, hover activation is off.
+    // Pinned cells stay put while the animated modes run; "Release" hands them over.
+    const editor = RasterEditor.createEditor(sim, (idx, pin) => recorder.event('pin', [idx, pin]), theme.accent);
+    let editing = false;
+    let painting = false;
+    let palette = null;
+
+    function setEditing(on) {
+      editing = !!on;
+      painting = false;
+      editor.endStroke();
+      if (!palette) palette = buildPalette();
+      palette.hidden = !editing;
+      canvas.classList.toggle('editing', editing);
+    }
+
+    function editAt(e) {
+      return pickCell(toNDC(e.clientX, e.clientY));
+    }
+
+    function onEditDown(e) {
+      if (!editing) return;
+      const cell = editAt(e);
+      if (!cell) return;
+      stopReplay();
+      if (editor.tool === 'fill') {
+        editor.fill(cell.col, cell.row);
+        return;
       }
+      painting = true;
+      editor.beginStroke();
+      editor.paintAt(cell.col, cell.row);
     }
-  }
 
-  function toggleFreeze() {
-    isFrozen = !isFrozen;
-  }
+    function onEditMove(e) {
+      if (!editing || !painting) return;
+      const cell = editAt(e);
+      if (cell) editor.paintAt(cell.col, cell.row);
+    }
 
-  function resetGrid() {
-    for (let i = 0; i < cells.length; i++) {
-      const cell = cells[i];
-      cell.shape = 'square';
-      cell.color = '#ffffff';
-      cell.pendingShape = null;
-      cell.pendingColor = null;
-      cell.angle = 0;
-      cell.targetAngle = 0;
-      cell.zOffset = 0;
-      cell.reaction = 0;
-      cell.flipped = false;
-      cell.flippedMaxAngle = null;
-      cell.currentIntensity = 0;
-      cell.flutterActive = false;
-      cell.revertTimer = null;
-      cell.modifiedBy = null;
-      cell.reverting = false;
-      cell.revertSpeedMult = 1;
-      cell.morphTimer = 0;
+    function onEditUp() {
+      if (!painting) return;
+      painting = false;
+      editor.endStroke();
     }
-  }
 
-  // Keyboard controls
-  window.addEventListener('keydown', (e) => {
-    const key = e.key.toLowerCase();
+    listen(canvas, window.PointerEvent ? 'pointerdown' : 'mousedown', onEditDown);
+    listen(window, window.PointerEvent ? 'pointermove' : 'mousemove', onEditMove);
+    listen(window, window.PointerEvent ? 'pointerup' : 'mouseup', onEditUp);
+    if (window.PointerEvent) listen(window, 'pointercancel', onEditUp);
 
-    // Mode switching: 1 = labil, 2 = stable
-    if (key === '1') {
-      setMode('labil');
+    function releasePins() {
+      stopReplay();
+      sim.releasePins();
+      editor.resetHistory();
+      recorder.event('release');
     }
-    if (key === '2') {
-      setMode('stable');
+
+    // Image mosaic (O opens a picture, Shift+O clears it, or drop one on the page), see image.js.
+    // The picture becomes the cells' base state: hover disturbs it, reverts settle back into it.
+    let mosaic = null; // { image, options }
+
+    function setBase(states) {
+      stopReplay();
+      sim.setBase(states);
+      recorder.event('base', states);
     }
 
-    // Freeze toggle: Space
-    if (e.code === 'Space' || key === ' ') {
-      e.preventDefault(); // Prevent scrolling
-      toggleFreeze();
+    function applyImage() {
+      const options = Object.assign({ shapes: RasterShapes.byCoverage() }, mosaic.options);
+      const data = RasterImage.sampleImage(mosaic.image, sim.cols, sim.rows);
+      setBase(RasterImage.mapPixels(data, sim.cols, sim.rows, options));
     }
 
-    // Reset: R
-    if (key === 'r') {
-      resetGrid();
+    // src: File, Blob or URL. options: see RasterImage.DEFAULTS
+    function loadImage(src, options) {
+      return RasterImage.loadImage(src).then((image) => {
+        mosaic = { image, options: options || {} };
+        applyImage();
+      });
     }
-  });
 
-  // main loop
-  let lastTime = performance.now();
-  let time = 0; // seconds accumulator for flutter
-  function loop(t) {
-    const dt = Math.min(40, t - lastTime);
-    lastTime = t;
+    function clearImage() {
+      mosaic = null;
+      setBase(null);
+    }
 
-    if (!isFrozen) {
-      const secs = dt / 1000;
-      time += secs;
-      update(secs);
+    const imageInput = document.createElement('input');
+    imageInput.type = 'file';
+    imageInput.accept = 'image/*';
+    imageInput.hidden = true;
+    imageInput.addEventListener('change', () => {
+      const file = imageInput.files && imageInput.files[0];
+      imageInput.value = '';
+      if (file) loadImage(file).catch((err) => alert(err.message));
+    });
+    attach(imageInput);
+
+    // Back image (B picks one, Shift+B removes it): revealed tile by tile as cells turn over,
+    // e.g. in the Reveal mode. sim.revealProgress() tells how much has been seen.
+    function updateBackTexture() {
+      if (backTexture) backTexture.dispose();
+      backTexture = backSource ? new THREE.CanvasTexture(RasterImage.cropToAspect(backSource, sim.cols / sim.rows)) : null;
+      backMat.map = backTexture;
+      backMat.needsUpdate = true;
+      drawnColor.fill(null); // back colors switch between tinted and white
     }
-    draw();
-    requestAnimationFrame(loop);
-  }
 
-  function update(delta) {
-    let activeCol = -999;
-    let activeRow = -999;
+    // src: File, Blob or URL
+    function loadBackImage(src) {
+      return RasterImage.loadImage(src).then((image) => {
+        backSource = image;
+        updateBackTexture();
+      });
+    }
 
-    if (!isFrozen && meshHit) {
-      raycaster.setFromCamera(pointer, camera);
-      // Raycast against the STABLE hit plane
-      const intersects = raycaster.intersectObject(meshHit);
-      if (intersects.length > 0) {
-        // Local point on plane
-        const p = intersects[0].point;
-        // p.x ranges from -gridW/2 to +gridW/2
-        // p.y ranges from -gridH/2 to +gridH/2
-
-        // Convert to col/row
-        // col = (x - offsetX) / tile
-        // row = (offsetY - y) / tile
-
-        const c = Math.floor((p.x - offsetX) / tile);
-        const r = Math.floor((offsetY - p.y) / tile);
-
-        if (c >= 0 && c < COLS && r >= 0 && r < ROWS) {
-          activeCol = c;
-          activeRow = r;
-        }
+    function clearBackImage() {
+      backSource = null;
+      updateBackTexture();
+    }
+
+    const backInput = document.createElement('input');
+    backInput.type = 'file';
+    backInput.accept = 'image/*';
+    backInput.hidden = true;
+    backInput.addEventListener('change', () => {
+      const file = backInput.files && backInput.files[0];
+      backInput.value = '';
+      if (file) loadBackImage(file).catch((err) => alert(err.message));
+    });
+    attach(backInput);
+
+    // Audio input (A plays a file or stops, Shift+A listens to the microphone), see audio.js.
+    // Band levels drive the columns, onsets trigger flip waves and/or mode switches.
+    // Levels are quantized to bytes and recorded, so recordings replay without the audio.
+    const audioIn = RasterAudio.createAudioInput();
+    const beats = RasterAudio.createBeatDetector();
+    const BEAT_ACTIONS = ['wave', 'mode', 'both', 'none'];
+    let beatAction = 'wave';
+    let audioLive = false; // levels are being fed to the simulation
+
+    function addPulse(opts) {
+      stopReplay();
+      sim.addPulse(opts);
+      recorder.event('pulse', opts);
+    }
+
+    function onBeat() {
+      if (beatAction === 'wave' || beatAction === 'both') {
+        addPulse({}); // from a random cell, picked by the simulation's seeded PRNG
+      }
+      if (beatAction === 'mode' || beatAction === 'both') {
+        const order = RasterSim.MODE_ORDER;
+        setMode(order[(order.indexOf(sim.mode) + 1) % order.length]);
       }
     }
 
-    if (activeCol !== prevActiveCol || activeRow !== prevActiveRow) {
-      prevActiveCol = activeCol;
-      prevActiveRow = activeRow;
-      activationSeed++;
-    }
-
-    const config = cfg();
-
-    // alignment tolerance: fraction of tile. Smaller => need more exact hover.
-    // Simplified alignment check for 3D:
-    // If we hit a cell with raycaster, we are "near center" enough.
-    // Or we could check uv. But for now simpler is better.
-    let pointerNearColCenter = (activeCol !== -999);
-    let pointerNearRowCenter = (activeRow !== -999);
-
-    for (let r = 0; r < ROWS; r++) {
-      for (let c = 0; c < COLS; c++) {
-        const idx = r * COLS + c;
-        const cell = cells[idx];
-
-        const windowSize = 5;
-        const half = Math.floor(windowSize / 2);
-        let intensity = 0;
-        const inVertical = (activeCol >= 0 && activeRow >= 0 && Math.abs(r - activeRow) <= half);
-        const horizDist = (activeCol >= 0) ? Math.abs(c - activeCol) : 999;
-        const inHorizNear = horizDist <= HORIZ_RADIUS;
-        const isMainColumn = (c === activeCol);
-        const isMainRow = (r === activeRow);
-
-        if (inVertical && (isMainColumn || inHorizNear)) {
-          const vdist = Math.abs(r - activeRow);
-          let vFactor = Math.max(0, 1 - (vdist / (half + 1)));
-          const hAttenuationDeg = (horizDist <= HORIZ_RADIUS) ? ATTENUATION_DEGS[horizDist] : 0;
-          const mainDeg = ATTENUATION_DEGS[0];
-          const hFactor = (mainDeg > 0) ? (hAttenuationDeg / mainDeg) : 0;
-          intensity = vFactor * hFactor;
-          intensity = Math.pow(intensity, 0.9);
+    // Once per live frame, before the simulation steps
+    function updateAudio(dt) {
+      const levels = audioIn.read(sim.cols);
+      if (!levels) {
+        if (audioLive) {
+          audioLive = false;
+          beats.reset();
+          sim.setAudio(null);
+          recorder.event('audio', null);
         }
+        return;
+      }
+      audioLive = true;
+      const bytes = Array.from(levels, (v) => Math.round(v * 255));
+      sim.setAudio(bytes.map((v) => v / 255));
+      recorder.event('audio', bytes);
+      if (beats.update(levels, dt)) onBeat();
+    }
 
-        // determine allowed "main activation" depending on mouse alignment
-        const mainColumnActivation = isMainColumn && inVertical && (MODE !== 'labil' || pointerNearColCenter);
-        const mainRowActivation = isMainRow && inHorizNear && (MODE !== 'labil' || pointerNearRowCenter);
-
-        cell.currentIntensity = intensity;
-        cell.flutterActive = intensity > 0.001;
-
-        // In stable mode, all changed forms (not white) get same high intensity for flip & flutter
-        // independent from mouse position
-        if (MODE === 'stable' && cell.color !== '#ffffff') {
-          cell.flutterActive = true;
-          cell.currentIntensity = 1.0;
-          cell.flutterAmpDeg = 4.0;
-          cell.flutterFreq = cell.baseFlutterFreq;
-          // If the pointer hovers directly over this cell (column/row activation),
-          // drive a stronger flip so already-blue shapes react to the mouse.
-          if (mainColumnActivation || mainRowActivation) {
-            const fixedMaxDeg = cfg().startDeg;
-            const fixedMax = fixedMaxDeg * Math.PI / 180;
-            // push targetAngle higher so the cell visibly flips when hovered
-            cell.targetAngle = Math.max(cell.targetAngle || 0, 0.6 * fixedMax);
-            // give a short reaction pulse so neighbors also respond
-            cell.reaction = Math.max(cell.reaction || 0, 0.8);
-            cell.currentIntensity = 1.0;
-            cell.flutterActive = true;
-          }
-        }
+    function startAudio(src) {
+      stopReplay();
+      return audioIn.startFile(src);
+    }
 
-        // Disable flutter in labil mode
-        if (MODE === 'labil') {
-          cell.flutterActive = false;
-          cell.flutterAmpDeg = 0;
-          cell.flutterFreq = 0;
-        }
+    function startMicrophone() {
+      stopReplay();
+      return audioIn.startMicrophone();
+    }
 
-        // Update flutter for stable white cells and labil mode
-        if (MODE === 'stable' && cell.color === '#ffffff') {
-          cell.flutterAmpDeg = cell.baseFlutterAmpDeg;
-          cell.flutterFreq = cell.baseFlutterFreq;
+    function setBeatAction(action) {
+      if (BEAT_ACTIONS.indexOf(action) >= 0) beatAction = action;
+      return beatAction;
+    }
+    setBeatAction(params.get('beat'));
+
+    const audioInput = document.createElement('input');
+    audioInput.type = 'file';
+    audioInput.accept = 'audio/*';
+    audioInput.hidden = true;
+    audioInput.addEventListener('change', () => {
+      const file = audioInput.files && audioInput.files[0];
+      audioInput.value = '';
+      if (file) startAudio(file).catch((err) => alert('Could not play audio: ' + err.message));
+    });
+    attach(audioInput);
+
+    // Remote control (?remote=ws://host:port, see remote.js and relay-server.js): a show-control
+    // computer sends commands as JSON, the grid answers and reports mode, freeze and flip changes.
+    const remotePointers = RasterRemote.createPointerSet(RasterRemote.DEFAULTS.pointerTTL);
+    let remote = null;
+    let remoteBadge = null;
+    let reported = null; // last state sent: { mode, frozen, flipped }
+    let reportTime = 0;
+
+    function countFlipped() {
+      let n = 0;
+      sim.cells.forEach((cell) => { if (cell.flipped) n++; });
+      return n;
+    }
+
+    function remoteState() {
+      const state = getState();
+      delete state.params;
+      return Object.assign({ event: 'state' }, state);
+    }
+
+    const remoteHandlers = {
+      mode(msg) {
+        if (!RasterSim.MODES[msg.mode]) throw new Error('Unknown mode: ' + msg.mode);
+        setMode(msg.mode, msg.transition);
+      },
+      freeze(msg) {
+        toggleFreeze(msg.value);
+      },
+      reset(msg) {
+        resetGrid(msg.transition);
+      },
+      pointers(msg) {
+        if (msg.points.length) attract.input();
+        remotePointers.set(msg.points);
+      },
+      params(msg) {
+        if (!RasterSim.MODES[msg.mode]) throw new Error('Unknown mode: ' + msg.mode);
+        setModeParams(msg.mode, msg.values);
+        if (settings) settings.refresh();
+        return { event: 'params', mode: msg.mode, values: RasterSim.getModeParams(msg.mode) };
+      },
+      seed(msg) {
+        setSeed(msg.seed);
+        return { event: 'seed', seed: sim.seed };
+      },
+      release() {
+        releasePins();
+      },
+      theme(msg) {
+        return { event: 'theme', theme: setTheme(msg.theme) };
+      },
+      state: remoteState
+    };
+
+    function connectRemote(url) {
+      if (remote) remote.close();
+      remotePointers.clear();
+      if (!remoteBadge) {
+        remoteBadge = document.createElement('div');
+        remoteBadge.className = 'remote-status';
+        attach(remoteBadge);
+      }
+      remote = RasterRemote.createRemote({
+        url,
+        handlers: remoteHandlers,
+        onStatus(status) {
+          remoteBadge.className = 'remote-status ' + status;
+          remoteBadge.textContent = 'Remote ' + status;
+          remoteBadge.title = url;
+          // a lost controller must not leave its pointers behind
+          if (status !== 'online') remotePointers.clear();
+        },
+        // the controller gets the full state on every (re)connect
+        onConnect() {
+          reported = null;
+          remote.send(remoteState());
         }
+      });
+      remoteBadge.className = 'remote-status offline';
+      remoteBadge.textContent = 'Remote offline';
+      remote.connect();
+    }
 
-        const localMaxDeg = (horizDist <= HORIZ_RADIUS) ? ATTENUATION_DEGS[horizDist] : 0;
-        const localMax = localMaxDeg * Math.PI / 180;
+    function disconnectRemote() {
+      if (!remote) return;
+      remote.close();
+      remote = null;
+      remotePointers.clear();
+      if (remoteBadge) remoteBadge.remove();
+      remoteBadge = null;
+    }
 
-        const baseTarget = cell.flipped ? (cell.flippedMaxAngle || localMax) : 0;
+    // Once per frame: report what changed since the last report (flip counts at most once a second)
+    function reportRemote(dt) {
+      if (!remote || remote.status !== 'online') return;
+      if (!reported) reported = { mode: sim.mode, frozen: isFrozen, flipped: countFlipped() };
+      if (sim.mode !== reported.mode) {
+        reported.mode = sim.mode;
+        remote.send({ event: 'mode', mode: sim.mode });
+      }
+      if (isFrozen !== reported.frozen) {
+        reported.frozen = isFrozen;
+        remote.send({ event: 'freeze', value: isFrozen });
+      }
+      reportTime += dt;
+      if (reportTime < 1) return;
+      reportTime = 0;
+      const flipped = countFlipped();
+      if (flipped === reported.flipped) return;
+      reported.flipped = flipped;
+      remote.send({ event: 'flips', flipped, total: sim.cells.length });
+    }
 
-        if (inVertical && isMainColumn) {
-          if (!cell.flipped) {
-            cell.targetAngle = intensity * localMax;
-          } else {
-            cell.targetAngle = (cell.flippedMaxAngle || localMax) * (1 - intensity);
-          }
-        } else if (inVertical && inHorizNear) {
-          cell.targetAngle = intensity * localMax;
-        } else {
-          cell.targetAngle = baseTarget;
+    const dropTarget = fullscreen ? window : container;
+    listen(dropTarget, 'dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types || []).indexOf('Files') >= 0) e.preventDefault();
+    });
+    listen(dropTarget, 'drop', (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+      if (file && /^audio\//.test(file.type)) {
+        e.preventDefault();
+        startAudio(file).catch((err) => alert('Could not play audio: ' + err.message));
+        return;
+      }
+      if (!file || !/^image\//.test(file.type)) return;
+      e.preventDefault();
+      loadImage(file).catch((err) => alert(err.message));
+    });
+
+    // Brush palette: shapes, colors, flip angle, tools and history
+    function buildPalette() {
+      const el = document.createElement('div');
+      el.className = 'edit-palette';
+      el.hidden = true;
+
+      const addRow = (label) => {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+        if (label) {
+          const span = document.createElement('span');
+          span.textContent = label;
+          row.appendChild(span);
         }
+        el.appendChild(row);
+        return row;
+      };
+      const addButton = (row, text, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.addEventListener('click', (e) => { e.stopPropagation(); onClick(btn); });
+        row.appendChild(btn);
+        return btn;
+      };
+      // one active button per group
+      const select = (row, btn) => {
+        Array.from(row.querySelectorAll('button')).forEach((b) => b.classList.toggle('active', b === btn));
+      };
+
+      const shapeRow = addRow('Shape');
+      RasterShapes.SHAPE_ORDER.forEach((shape) => {
+        const btn = addButton(shapeRow, shape, (b) => { editor.brush.shape = shape; select(shapeRow, b); });
+        if (shape === editor.brush.shape) btn.classList.add('active');
+      });
+
+      const colorRow = addRow('Color');
+      const colors = [theme.rest, theme.accent, theme.background];
+      RasterSim.MODE_ORDER.forEach((name) => colors.push.apply(colors, theme.modes[name] || RasterSim.MODES[name].colors));
+      const picker = document.createElement('input');
+      picker.type = 'color';
+      picker.value = editor.brush.color;
+      Array.from(new Set(colors)).forEach((color) => {
+        const btn = addButton(colorRow, '', (b) => { editor.brush.color = color; picker.value = color; select(colorRow, b); });
+        btn.className = 'swatch';
+        btn.style.background = color;
+        btn.title = color;
+        if (color === editor.brush.color) btn.classList.add('active');
+      });
+      picker.addEventListener('input', () => { editor.brush.color = picker.value; select(colorRow, null); });
+      colorRow.appendChild(picker);
+
+      const angleRow = addRow('Angle');
+      const angle = document.createElement('input');
+      angle.type = 'range';
+      angle.min = 0;
+      angle.max = 180;
+      angle.value = editor.brush.angleDeg;
+      const angleOut = document.createElement('span');
+      angleOut.textContent = editor.brush.angleDeg + '°';
+      angle.addEventListener('input', () => {
+        editor.brush.angleDeg = Number(angle.value);
+        angleOut.textContent = angle.value + '°';
+      });
+      angleRow.appendChild(angle);
+      angleRow.appendChild(angleOut);
+
+      const toolRow = addRow('Tool');
+      ['paint', 'fill', 'erase'].forEach((tool) => {
+        const btn = addButton(toolRow, tool, (b) => { editor.tool = tool; select(toolRow, b); });
+        if (tool === editor.tool) btn.classList.add('active');
+      });
+
+      const actionRow = addRow();
+      addButton(actionRow, 'Undo', () => editor.undo());
+      addButton(actionRow, 'Redo', () => editor.redo());
+      addButton(actionRow, 'Clear', () => editor.clear());
+      addButton(actionRow, 'Release', () => releasePins());
+      addButton(actionRow, 'Done', () => setEditing(false));
+
+      // keep palette clicks away from the grid
+      el.addEventListener('pointerdown', (e) => e.stopPropagation());
+      attach(el);
+      return el;
+    }
 
-        // In stable mode, all changed forms flip independently from mouse, BUT we allow interaction to override
-        if (MODE === 'stable' && cell.color !== '#ffffff') {
-          const fixedMaxDeg = cfg().startDeg;
-          const fixedMax = fixedMaxDeg * Math.PI / 180;
-          // Use the greater of: calculated interaction angle OR the base "open" posture (30%)
-          cell.targetAngle = Math.max(cell.targetAngle, 0.3 * fixedMax);
-        }
+    // Live tuning of mode parameters, recorded like any other command
+    function setModeParams(name, values) {
+      stopReplay();
+      if (!sim.setModeParams(name, values)) return;
+      recorder.event('params', [name, values]);
+    }
 
-        // STABLE: require multiple consecutive activations (debounce) and cooldown
-        if (!cell.flipped && (mainColumnActivation || mainRowActivation) && cell.lastActivationSeed !== activationSeed) {
-          // record seed for general activation tracking
-          cell.lastActivationSeed = activationSeed;
-          if (MODE === 'labil') {
-            if (cell.labilLastSeed !== activationSeed) {
-              cell.labilLastSeed = activationSeed;
-              cell.labilActivationCount++;
-            }
-            if (cell.labilActivationCount >= 2 && cell.cooldown <= 0) {
-              cell.pendingShape = randShape();
-              cell.pendingColor = randColor();
-              cell.labilActivationCount = 0;
-              cell.cooldown = 0.6; // 0.6s cooldown to avoid rapid re-flips
-            }
-          } else {
-            // stable/or default behavior
-            cell.pendingShape = randShape();
-            cell.pendingColor = '#0505fb';
-          }
-        }
+    // Presets: named tunings of all modes in localStorage, see presets.js.
+    // Sandboxed iframes and blocked storage throw on the mere access: keep them in memory there.
+    let presetStorage = null;
+    try {
+      presetStorage = window.localStorage;
+    } catch (err) {
+      console.warn('localStorage unavailable, presets last for this session', err);
+    }
+    const presets = RasterPresets.createPresetStore(presetStorage);
 
-        // tick down cooldown
-        cell.cooldown = Math.max(0, (cell.cooldown || 0) - delta);
-
-        // tick down revert timer: when it hits zero, revert to white square
-        if (cell.revertTimer != null) {
-          cell.revertTimer = Math.max(0, cell.revertTimer - delta);
-          if (cell.revertTimer <= 0) {
-            cell.color = '#ffffff';
-            cell.shape = 'square';
-            cell.flipped = false;
-            cell.flippedMaxAngle = null;
-            cell.revertTimer = null;
-            cell.modifiedBy = null;
-            cell.reverting = false;
-            cell.revertSpeedMult = 1;
-            cell.currentIntensity = 0;
-            cell.flutterActive = false;
-          }
-        }
+    function currentParams() {
+      const modes = {};
+      RasterSim.MODE_ORDER.forEach((name) => { modes[name] = RasterSim.getModeParams(name); });
+      return modes;
+    }
+
+    function applyPreset(preset) {
+      Object.keys(preset.modes).forEach((name) => {
+        if (RasterSim.MODES[name]) setModeParams(name, preset.modes[name]);
+      });
+      if (settings) settings.refresh();
+    }
+
+    function loadPreset(name) {
+      const preset = presets.get(name);
+      if (!preset) {
+        console.warn('Unknown preset: ' + name);
+        return false;
+      }
+      applyPreset(preset);
+      return true;
+    }
+
+    function savePreset(name) {
+      if (!name) return;
+      presets.save(name, currentParams());
+      if (settings) settings.refresh();
+    }
 
-        // STABLE MODE: Continuous shape morphing while active (waiting to revert)
-        if (MODE === 'labil' && cell.revertTimer != null) {
-          cell.morphTimer -= delta;
-          if (cell.morphTimer <= 0) {
-            cell.shape = randShape();
-            cell.color = randColor();
-            cell.morphTimer = 0.4; // shuffle every 400ms (slower)
+    function exportPreset(name) {
+      const preset = { name: name || 'current', modes: currentParams() };
+      const file = 'raster-preset-' + preset.name.replace(/[^\w-]+/g, '_') + '.json';
+      downloadBlob(new Blob([RasterPresets.toJSON(preset)], { type: 'application/json' }), file);
+    }
+
+    // Read a preset file, store it under its name and apply it
+    function importPreset(file) {
+      return file.text().then((text) => {
+        const preset = RasterPresets.parse(text);
+        presets.save(preset.name, preset.modes);
+        applyPreset(preset);
+        return preset.name;
+      });
+    }
+
+    // Settings panel (S): sliders for the tunables of one mode plus the preset controls
+    let settings = null;
+
+    function toggleSettings() {
+      if (!settings) settings = buildSettings();
+      settings.el.hidden = !settings.el.hidden;
+      if (!settings.el.hidden) settings.open();
+    }
+
+    function buildSettings() {
+      const el = document.createElement('div');
+      el.className = 'settings-panel';
+      el.hidden = true;
+      let editMode = sim.mode;
+      const refreshers = [];
+
+      const addRow = (label) => {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        const span = document.createElement('span');
+        span.textContent = label;
+        row.appendChild(span);
+        el.appendChild(row);
+        return row;
+      };
+      const addInput = (row, type, attrs) => {
+        const input = document.createElement('input');
+        input.type = type;
+        Object.keys(attrs || {}).forEach((k) => { input[k] = attrs[k]; });
+        row.appendChild(input);
+        return input;
+      };
+      const addButton = (parent, text, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.addEventListener('click', onClick);
+        parent.appendChild(btn);
+        return btn;
+      };
+
+      // the grid's theme (the page's side and the tile colors)
+      const themeSelect = document.createElement('select');
+      themeSelect.addEventListener('change', () => setTheme(themeSelect.value));
+      addRow('Theme').appendChild(themeSelect);
+
+      // which mode the sliders edit (follows the active mode when the panel opens)
+      const modeSelect = document.createElement('select');
+      modeSelect.addEventListener('change', () => {
+        editMode = modeSelect.value;
+        refresh();
+      });
+      addRow('Mode').appendChild(modeSelect);
+
+      Object.keys(RasterSim.MODE_PARAMS).forEach((key) => {
+        const range = RasterSim.MODE_PARAMS[key];
+        const row = addRow(key);
+        const slider = addInput(row, 'range', { min: range.min, max: range.max, step: range.step });
+        const out = document.createElement('output');
+        row.appendChild(out);
+        slider.addEventListener('input', () => {
+          out.textContent = slider.value;
+          setModeParams(editMode, { [key]: Number(slider.value) });
+        });
+        refreshers.push((params) => {
+          slider.value = params[key];
+          out.textContent = params[key];
+        });
+      });
+
+      const flutter = addInput(addRow('flutter'), 'checkbox');
+      flutter.addEventListener('change', () => setModeParams(editMode, { flutter: flutter.checked }));
+      refreshers.push((params) => { flutter.checked = params.flutter; });
+
+      const waveShape = document.createElement('select');
+      RasterSim.WAVE_SHAPES.forEach((shape) => {
+        const opt = document.createElement('option');
+        opt.value = shape;
+        opt.textContent = shape;
+        waveShape.appendChild(opt);
+      });
+      waveShape.addEventListener('change', () => setModeParams(editMode, { waveShape: waveShape.value }));
+      addRow('waveShape').appendChild(waveShape);
+      refreshers.push((params) => { waveShape.value = params.waveShape; });
+
+      // a rule name (life, brain, ...) or a rule string like B36/S23; invalid ones are ignored
+      const rule = addInput(addRow('automatonRule'), 'text', { placeholder: 'life, brain, B3/S23' });
+      rule.addEventListener('change', () => {
+        setModeParams(editMode, { automatonRule: rule.value });
+        refresh();
+      });
+      refreshers.push((params) => { rule.value = params.automatonRule; });
+
+      const colors = addInput(addRow('colors'), 'text');
+      colors.addEventListener('change', () => {
+        setModeParams(editMode, { colors: colors.value.split(',').map((c) => c.trim()) });
+        refresh();
+      });
+      refreshers.push((params) => {
+        colors.value = params.colors.join(', ');
+        colors.placeholder = theme.rest + ', ' + theme.accent;
+      });
+
+      // relative weights per shape, normalized by the simulation
+      const weightsBox = document.createElement('div');
+      el.appendChild(weightsBox);
+      const weightSliders = {};
+      refreshers.push((params) => {
+        const shapes = RasterShapes.SHAPE_ORDER.slice();
+        Object.keys(params.shapeWeights).forEach((s) => { if (shapes.indexOf(s) < 0) shapes.push(s); });
+        shapes.forEach((shape) => {
+          if (!weightSliders[shape]) {
+            const row = addRow(shape);
+            weightsBox.appendChild(row);
+            const slider = addInput(row, 'range', { min: 0, max: 1, step: 0.01 });
+            slider.addEventListener('input', () => {
+              const weights = {};
+              Object.keys(weightSliders).forEach((s) => { weights[s] = Number(weightSliders[s].value); });
+              setModeParams(editMode, { shapeWeights: weights });
+            });
+            weightSliders[shape] = slider;
           }
+          weightSliders[shape].value = params.shapeWeights[shape] || 0;
+        });
+      });
+
+      // presets
+      const presetRow = document.createElement('div');
+      presetRow.className = 'settings-presets';
+      el.appendChild(presetRow);
+      const presetSelect = document.createElement('select');
+      presetRow.appendChild(presetSelect);
+      addButton(presetRow, 'Load', () => { if (presetSelect.value) loadPreset(presetSelect.value); });
+      addButton(presetRow, 'Delete', () => {
+        if (presetSelect.value && presets.remove(presetSelect.value)) refresh();
+      });
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = 'preset name';
+      presetRow.appendChild(nameInput);
+      addButton(presetRow, 'Save', () => savePreset(nameInput.value.trim()));
+      addButton(presetRow, 'Export', () => exportPreset(nameInput.value.trim() || presetSelect.value));
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'application/json,.json';
+      fileInput.hidden = true;
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        importPreset(file)
+          .then((name) => { nameInput.value = name; })
+          .catch((err) => alert('Could not import preset: ' + err.message));
+      });
+      presetRow.appendChild(fileInput);
+      addButton(presetRow, 'Import', () => fileInput.click());
+      const shapeInput = document.createElement('input');
+      shapeInput.type = 'file';
+      shapeInput.accept = 'image/svg+xml,.svg';
+      shapeInput.hidden = true;
+      shapeInput.addEventListener('change', () => {
+        const file = shapeInput.files && shapeInput.files[0];
+        shapeInput.value = '';
+        if (!file) return;
+        loadShapeFile(file).catch((err) => alert('Could not load shape: ' + err.message));
+      });
+      presetRow.appendChild(shapeInput);
+      addButton(presetRow, 'SVG shape', () => shapeInput.click());
+      addButton(presetRow, 'Close', () => { el.hidden = true; });
+
+      function refresh() {
+        if (!RasterSim.MODES[editMode]) editMode = sim.mode;
+        modeSelect.textContent = '';
+        RasterSim.MODE_ORDER.forEach((name) => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = RasterSim.MODES[name].label;
+          modeSelect.appendChild(opt);
+        });
+        modeSelect.value = editMode;
+        themeSelect.textContent = '';
+        RasterThemes.THEME_ORDER.concat(RasterThemes.getTheme(themeName) ? [] : [themeName]).forEach((name) => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = name === themeName ? theme.label : RasterThemes.THEMES[name].label;
+          themeSelect.appendChild(opt);
+        });
+        themeSelect.value = themeName;
+        const params = RasterSim.getModeParams(editMode);
+        refreshers.forEach((fn) => fn(params));
+
+        const selected = presetSelect.value;
+        presetSelect.textContent = '';
+        presets.list().forEach((name) => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = name;
+          presetSelect.appendChild(opt);
+        });
+        if (selected) presetSelect.value = selected;
+      }
+
+      // keep panel clicks away from the grid
+      el.addEventListener('pointerdown', (e) => e.stopPropagation());
+      attach(el);
+      return {
+        el,
+        refresh,
+        open() {
+          editMode = sim.mode;
+          refresh();
         }
+      };
+    }
 
-        // adjust animation speed & reactions for labil mode
-        const baseAx = (MODE === 'labil') ? 6 : 12; // slower, smoother in labil
-        const speedMult = (cell.reverting && cell.revertSpeedMult) ? cell.revertSpeedMult : 1;
-        const ax = baseAx * speedMult;
-        const prevAngle = cell.angle;
-        cell.angle += (cell.targetAngle - cell.angle) * Math.min(1, ax * delta);
-
-        const MID_ANGLE = localMax * 0.5;
-        if (cell.pendingShape && prevAngle < MID_ANGLE && cell.angle >= MID_ANGLE) {
-          cell.shape = cell.pendingShape;
-          cell.color = cell.pendingColor || cell.color;
-          cell.pendingShape = null;
-          cell.pendingColor = null;
-          cell.flipped = true;
-          cell.flippedMaxAngle = localMax;
-          // mark which mode created this change
-          cell.modifiedBy = MODE;
-          // schedule automatic revert back to white square in STABLE mode
-          if (MODE === 'labil') {
-            // shorter, moderately random reverts (short long-tail)
-            const base = 0.8;
-            const range = 2.2; // uniform part
-            const skew = Math.pow(Math.random(), 2) * 1.0; // small long-tail
-            cell.revertTimer = base + Math.random() * range + skew; // ~0.8s - ~4.0s (skewed)
-          }
+    function setSeed(seed) {
+      stopReplay();
+      sim.setSeed(seed);
+      recorder.event('seed', sim.seed);
+    }
 
-          const intensityForCell = cell.targetAngle / Math.max(1e-6, localMax);
-          for (let dr = -1; dr <= 1; dr++) {
-            for (let dc = -1; dc <= 1; dc++) {
-              if (dr === 0 && dc === 0) continue;
-              const nr = r + dr;
-              const nc = c + dc;
-              if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS) continue;
-              const nidx = nr * COLS + nc;
-              const dist = Math.hypot(dr, dc);
-              const baseAmp = (MODE === 'labil') ? 0.3 : 0.6; // smaller spread in labil
-              const amp = (baseAmp * intensityForCell) / Math.max(0.8, dist);
-              cells[nidx].reaction = Math.max(cells[nidx].reaction || 0, amp);
-            }
-          }
+    // Colors for this grid only (null = the modes' colors); newly flipped tiles pick them up
+    function setPalette(colors) {
+      stopReplay();
+      const palette = sim.setPalette(colors);
+      recorder.event('palette', palette);
+      return palette;
+    }
+
+    function downloadBlob(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function startRecording() {
+      stopReplay();
+      recorder.start(sim, { frozen: isFrozen });
+      announce('Recording');
+    }
+
+    // Stops recording and returns the log (also kept for P)
+    function stopRecording(download) {
+      const log = recorder.stop();
+      if (!log) return null;
+      lastRecording = log;
+      announce('Recorded ' + log.frames.length + ' frames');
+      if (download) {
+        const json = JSON.stringify(log);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'raster-recording-' + log.snapshot.seed + '.json');
+      }
+      return log;
+    }
+
+    // Replay a recording (object or JSON string) frame by frame from its start state
+    function replay(log) {
+      if (recorder.recording) stopRecording(false);
+      stopReplay();
+      player = RasterRecorder.createPlayer(log || lastRecording);
+      player.rewind(sim);
+      isFrozen = player.frozen;
+      initMeshes();
+      resize();
+      announce('Replaying ' + player.length + ' frames');
+    }
+
+    function stopReplay() {
+      if (!player) return;
+      player = null;
+      announce('Replay stopped');
+      // the recording brought its own motion setting
+      setReducedMotion(preferredMotion());
+    }
+
+    function onReplayEvent(type, value) {
+      if (type === 'freeze' && isFrozen !== !!value) {
+        isFrozen = !!value;
+        events.emit('freeze', { frozen: isFrozen });
+      }
+      if (type === 'grid') {
+        initMeshes();
+        resize();
+      }
+    }
+
+    // Keyboard controls: the whole page for the full-screen grid, the focused element otherwise
+    if (keyTarget) listen(keyTarget, 'keydown', (e) => {
+      const key = e.key.toLowerCase();
+      attract.input();
+      // typing into the panels is not a shortcut, Space / Enter on a button presses it
+      if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+      if (e.target && e.target.tagName === 'BUTTON' && (key === ' ' || key === 'enter')) return;
+
+      // Cell cursor: arrows move it (Shift: 5 cells), Escape hides it
+      const stride = e.shiftKey ? 5 : 1;
+      const moves = { arrowleft: [-stride, 0], arrowright: [stride, 0], arrowup: [0, -stride], arrowdown: [0, stride] };
+      if (moves[key]) {
+        e.preventDefault();
+        moveCursor(moves[key][0], moves[key][1]);
+        return;
+      }
+      if (key === 'escape' && cursor.shown) {
+        cursor.shown = false;
+        return;
+      }
+
+      // Settings panel
+      if (key === 's' && !e.ctrlKey && !e.metaKey) toggleSettings();
+
+      // Image mosaic: O picks a picture, Shift+O goes back to white squares
+      if (key === 'o' && !e.ctrlKey && !e.metaKey) {
+        if (e.shiftKey) clearImage();
+        else imageInput.click();
+      }
+
+      // Audio: A picks a file (or stops the input), Shift+A uses the microphone
+      if (key === 'a' && !e.ctrlKey && !e.metaKey) {
+        if (audioIn.active) audioIn.stop();
+        else if (e.shiftKey) startMicrophone().catch((err) => alert('Microphone: ' + err.message));
+        else audioInput.click();
+      }
+
+      // Back image: B picks a picture for the back faces, Shift+B removes it
+      if (key === 'b' && !e.ctrlKey && !e.metaKey) {
+        if (e.shiftKey) clearBackImage();
+        else backInput.click();
+      }
+
+      // Attract: I starts the idle animation without waiting
+      if (key === 'i' && !e.ctrlKey && !e.metaKey) attract.start();
+
+      // Edit mode: D toggles, Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo
+      if (key === 'd' && !e.ctrlKey && !e.metaKey) {
+        setEditing(!editing);
+      }
+      if (editing && (e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) editor.redo();
+        else editor.undo();
+        return;
+      }
+
+      // Mode switching: 1 = labil, 2 = stable, 3 = reveal, 4 = wave, 5 = automaton,
+      // 6-9 = custom modes in registration order
+      if (key >= '1' && key <= '9') {
+        const name = RasterSim.MODE_ORDER[Number(key) - 1];
+        if (name) setMode(name);
+      }
+
+      // Freeze toggle: Space
+      if (e.code === 'Space' || key === ' ') {
+        e.preventDefault(); // Prevent scrolling
+        toggleFreeze();
+      }
+
+      // Reset: R
+      if (key === 'r') {
+        resetGrid();
+      }
+
+      // Theme: L cycles the named themes
+      if (key === 'l' && !e.ctrlKey && !e.metaKey) {
+        const order = RasterThemes.THEME_ORDER;
+        setTheme(order[(order.indexOf(themeName) + 1) % order.length]);
+        announce('Theme: ' + theme.label);
+      }
+
+      // Transition: T cycles the patterns, then back to the random dissolve
+      if (key === 't' && !e.ctrlKey && !e.metaKey) {
+        const patterns = RasterSim.TRANSITION_PATTERNS;
+        const current = sim.transition ? patterns.indexOf(sim.transition.pattern) : -1;
+        const pattern = patterns[current + 1] || null;
+        setTransition(pattern && Object.assign({}, sim.transition, { pattern }));
+        announce('Transition: ' + (pattern || 'none'));
+      }
+
+      // Capture: C starts / stops (and downloads) a recording, P replays the last one
+      if (key === 'c' && !e.ctrlKey && !e.metaKey) {
+        if (recorder.recording) stopRecording(true);
+        else startRecording();
+      }
+      if (key === 'p' && lastRecording && !e.ctrlKey && !e.metaKey) {
+        replay(lastRecording);
+      }
+
+      // Vector export: V = SVG, Shift+V = PDF
+      if (key === 'v' && !e.ctrlKey && !e.metaKey) {
+        const format = e.shiftKey ? 'pdf' : 'svg';
+        const type = format === 'pdf' ? 'application/pdf' : 'image/svg+xml';
+        downloadBlob(new Blob([exportVector({ format })], { type }), 'raster-grid.' + format);
+      }
+
+      // Export: E renders the last recording (or 4s of the current state) to PNG frames
+      if (key === 'e' && !exporting && !e.ctrlKey && !e.metaKey) {
+        exportFrames({ recording: lastRecording, onProgress: (n, total) => { if (n % 30 === 0) announce('Exporting frame ' + n + ' of ' + total); } })
+          .then((zip) => downloadBlob(zip, 'raster-frames.zip'))
+          .catch((err) => console.error(err));
+      }
+    });
+
+    // main loop
+    let lastTime = performance.now();
+    let frame = 0;
+    function loop(t) {
+      const dt = Math.min(40, t - lastTime) / 1000;
+      lastTime = t;
+
+      // the exporter drives the scene while it runs
+      if (exporting) {
+        frame = requestAnimationFrame(loop);
+        return;
+      }
+      if (!visible) {
+        frame = requestAnimationFrame(loop);
+        return;
+      }
+
+      if (player) {
+        const played = player.step(sim, onReplayEvent);
+        if (played < 0) stopReplay();
+        else if (played > 0 && !player.frozen) stepDelta = played;
+      } else {
+        // the virtual idle pointer replaces the real ones (a resting mouse stays in the map)
+        let active = null;
+        if (!isFrozen && !editing) {
+          active = attract.update(dt, sim.cols, sim.rows) || pickActiveCells();
+          if (remotePointers.size) active = active.concat(remotePointers.update(dt, sim.cols, sim.rows));
         }
+        if (!isFrozen) updateAudio(dt);
+        recorder.frame(dt, active);
+        if (!isFrozen && !(simWorker && simWorker.step(dt, active))) sim.step(dt, active);
+        if (!isFrozen && dt > 0) stepDelta = dt;
+      }
+      reportRemote(dt);
+      syncControls();
+      placeCursor();
+      draw();
+      frame = requestAnimationFrame(loop);
+    }
+
+    // Raycast a pointer (NDC) onto the grid: { col, row } or null
+    function pickCell(ndc) {
+      if (!meshHit) return null;
+      raycaster.setFromCamera(ndc, camera);
+      // Raycast against the hit plane
+      const intersects = raycaster.intersectObject(meshHit);
+      if (intersects.length === 0) return null;
+
+      // Local point on plane
+      const p = intersects[0].point;
+      // p.x ranges from -gridW/2 to +gridW/2
+      // p.y ranges from -gridH/2 to +gridH/2
 
-        if (cell.flipped && prevAngle > (cell.flippedMaxAngle || localMax) * 0.5 && cell.angle <= (cell.flippedMaxAngle || localMax) * 0.5) {
-          cell.flipped = false;
-          cell.flippedMaxAngle = null;
+      // Convert to col/row
+      // col = (x - offsetX) / tile
+      // row = (offsetY - y) / tile
+
+      const c = Math.floor((p.x - offsetX) / tile);
+      const r = Math.floor((offsetY - p.y) / tile);
+
+      if (c >= 0 && c < sim.cols && r >= 0 && r < sim.rows) {
+        return { col: c, row: r };
+      }
+      return null;
+    }
+
+    // All pointers that are over the grid: [{ id, col, row }, ...], plus the keyboard cursor
+    function pickActiveCells() {
+      const active = [];
+      pointers.forEach((ndc, id) => {
+        const cell = pickCell(ndc);
+        if (cell) {
+          cell.id = id;
+          active.push(cell);
         }
+      });
+      if (cursor.shown) active.push({ id: 'keyboard', col: cursor.col, row: cursor.row });
+      return active;
+    }
 
-        const REACTION_DECAY = (MODE === 'labil') ? 4.0 : 2.8; // faster decay in labil
-        cell.targetAngle += (cell.reaction || 0) * localMax;
-        cell.reaction = Math.max(0, (cell.reaction || 0) - REACTION_DECAY * delta);
+    // Keyboard cell cursor: an outline over one cell, drawn on top of the tiles.
+    // The first arrow press shows it in the middle of the grid.
+    const cursor = { shown: false, col: 0, row: 0 };
+    const cursorMesh = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0.04, -0.04, 0), new THREE.Vector3(0.96, -0.04, 0),
+        new THREE.Vector3(0.96, -0.96, 0), new THREE.Vector3(0.04, -0.96, 0)
+      ]),
+      new THREE.LineBasicMaterial({ color: theme.ink, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    cursorMesh.renderOrder = 10;
+    cursorMesh.visible = false;
+    scene.add(cursorMesh);
+
+    function moveCursor(dc, dr) {
+      if (!cursor.shown) {
+        cursor.shown = true;
+        cursor.col = Math.floor(sim.cols / 2);
+        cursor.row = Math.floor(sim.rows / 2);
+        return;
+      }
+      cursor.col = Math.max(0, Math.min(sim.cols - 1, cursor.col + dc));
+      cursor.row = Math.max(0, Math.min(sim.rows - 1, cursor.row + dr));
+    }
 
-        cell.targetAngle = Math.max(0, Math.min(localMax || MAX_ANGLE, cell.targetAngle));
+    function placeCursor() {
+      cursorMesh.visible = cursor.shown;
+      if (!cursor.shown) return;
+      // the grid may have shrunk under it
+      cursor.col = Math.min(cursor.col, sim.cols - 1);
+      cursor.row = Math.min(cursor.row, sim.rows - 1);
+      cursorMesh.position.set(offsetX + cursor.col * tile, offsetY - cursor.row * tile, 0.05);
+      cursorMesh.scale.set(tile, tile, 1);
+    }
 
-        const zMult = (MODE === 'labil') ? 0.02 : 0.04;
-        cell.zOffset = Math.sin(cell.angle) * (tile * zMult);
+    function draw() {
+      try {
+        // 3D Render
+        renderer.render(scene, camera);
+        syncInstances();
+      } catch (e) {
+        console.error(e);
+        alert("Error in draw(): " + e.message);
+        isFrozen = true; // stop loop
       }
     }
-  }
 
-  function draw() {
-    try {
-      // 3D Render
-      renderer.render(scene, camera);
-
-      // Sync positions/rotations/colors to InstancedMesh
-      for (let c = 0; c < COLS; c++) {
-        for (let r = 0; r < ROWS; r++) {
-          const i = r * COLS + c;
-          const cell = cells[i];
-
-          // 1. Calculate position of pivot
-          // Pivot is at Left edge of cell.
-          const startX = offsetX + c * tile; // Left edge of cell column
-          const startY = offsetY - r * tile - tile / 2; // Center Y of cell row (since pivot Y is 0)
-
-          // Position (Pivot):
-          const pX = offsetX + c * tile;
-          const pY = offsetY - r * tile - tile / 2;
-          const pZ = cell.zOffset || 0;
-
-          dummy.position.set(pX, pY, pZ);
-
-          // 2. Rotation
-          let flutterRad = 0;
-          if (cell.flutterActive) {
-            const ampDeg = (cell.flutterAmpDeg || 0) * (cell.currentIntensity || 0);
-            flutterRad = ampDeg * Math.PI / 180 * Math.sin(time * (cell.flutterFreq || 1) * 2 * Math.PI + (cell.flutterPhase || 0));
-          }
-          dummy.rotation.set(0, -(cell.angle + flutterRad), 0);
+    // Flip angle of a tile as drawn: the cell's angle plus its flutter at `time`
+    function tileAngle(cell, time) {
+      if (!cell.flutterActive) return cell.angle;
+      const ampDeg = (cell.flutterAmpDeg || 0) * (cell.currentIntensity || 0);
+      return cell.angle + ampDeg * Math.PI / 180 * Math.sin(time * (cell.flutterFreq || 1) * 2 * Math.PI + (cell.flutterPhase || 0));
+    }
+
+    // Pose a tile: pivot at the left edge of its cell, flipped about Y (plus flutter)
+    function placeCell(obj, cell, r, c, time) {
+      // Position (Pivot): left edge of cell column, center Y of cell row (since pivot Y is 0)
+      const pX = offsetX + c * tile;
+      const pY = offsetY - r * tile - tile / 2;
+      const pZ = (cell.zOffset || 0) * tile;
+      obj.position.set(pX, pY, pZ);
+      obj.rotation.set(0, -tileAngle(cell, time), 0);
+      obj.scale.set(1, 1, 1);
+      obj.updateMatrix();
+    }
+
+    // Upload only the span [from, to] of instances that changed (nothing if to < from or unset)
+    function uploadRange(attr, from, to) {
+      if (!(to >= from)) return;
+      attr.updateRange.offset = from * attr.itemSize;
+      attr.updateRange.count = (to - from + 1) * attr.itemSize;
+      attr.needsUpdate = true;
+    }
 
-          dummy.scale.set(1, 1, 1);
-          dummy.updateMatrix();
+    const ANGLE_TOLERANCE = 0.002; // rad the GPU's easing may drift from the simulation
+    const REBASE_TIME = 600;       // s of tileTime before the clock is rebased
+
+    // A shape's layer with room for `capacity` tiles: its own geometry carrying the per-instance
+    // attributes, a front and a back mesh drawing its first `count` instances. cells[j] is the
+    // cell instance j draws; from / to are the spans to upload per buffer.
+    function makeLayer(slot, capacity) {
+      const geometry = shapeGeometry(RasterShapes.SHAPE_ORDER[slot]);
+      const attr = (size) => {
+        const a = new THREE.InstancedBufferAttribute(new Float32Array(capacity * size), size);
+        a.setUsage(THREE.DynamicDrawUsage);
+        return a;
+      };
+      geometry.setAttribute('instanceCell', attr(2));
+      geometry.setAttribute('instanceAnim', attr(4));
+      geometry.setAttribute('instanceFlutter', attr(3));
+      const makeMesh = (material) => {
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.instanceColor = attr(3);
+        mesh.count = 0;
+        mesh.frustumCulled = false; // the bounds are one tile's, the instances cover the grid
+        group.add(mesh);
+        return mesh;
+      };
+      const front = makeMesh(mat);
+      front.castShadow = true; // casts for both sides (shadowSide)
+      front.receiveShadow = true;
+      front.customDepthMaterial = depthMat;
+      const back = makeMesh(backMat);
+      back.instanceMatrix = front.instanceMatrix; // one upload for both
+      back.receiveShadow = true;
+      return {
+        geometry, front, back, capacity,
+        count: 0,
+        cells: new Int32Array(capacity),
+        buffers: {
+          cell: geometry.attributes.instanceCell,
+          anim: geometry.attributes.instanceAnim,
+          flutter: geometry.attributes.instanceFlutter,
+          matrix: front.instanceMatrix,
+          color: front.instanceColor,
+          backColor: back.instanceColor
+        },
+        from: {},
+        to: {}
+      };
+    }
 
-          // 3. Set Matrix on the active shape, hide others (scale=0)
-          const isSquare = (cell.shape === 'square');
-          const isCircle = (cell.shape === 'circle');
-          const isTriangle = (cell.shape === 'triangle');
+    function dropLayer(layer) {
+      group.remove(layer.front);
+      group.remove(layer.back);
+      layer.front.dispose();
+      layer.back.dispose();
+      layer.geometry.dispose();
+    }
 
+    // Mark instance j of a layer for upload in the named buffers
+    function touch(layer, j, names) {
+      names.forEach((name) => {
+        if (!(layer.from[name] <= j)) layer.from[name] = j;
+        if (!(layer.to[name] >= j)) layer.to[name] = j;
+      });
+    }
+    const ALL_BUFFERS = ['cell', 'anim', 'flutter', 'matrix', 'color', 'backColor'];
+
+    // The layer of shape `slot`, with room for one more tile (a full one is replaced by one
+    // twice its size; the copy goes up whole, as new buffers do)
+    function layerWithRoom(slot) {
+      const layer = shapeLayers[slot];
+      if (layer && layer.count < layer.capacity) return layer;
+      const TOTAL = sim.cells.length;
+      const grown = makeLayer(slot, Math.min(TOTAL, layer ? layer.capacity * 2 : LAYER_START));
+      if (layer) {
+        ALL_BUFFERS.forEach((name) => {
+          const size = layer.buffers[name].itemSize;
+          grown.buffers[name].array.set(layer.buffers[name].array.subarray(0, layer.count * size));
+        });
+        grown.cells.set(layer.cells.subarray(0, layer.count));
+        grown.count = grown.front.count = grown.back.count = layer.count;
+        dropLayer(layer);
+      }
+      shapeLayers[slot] = grown;
+      return grown;
+    }
+
+    // Pivot position of cell i into instance j of a layer
+    function writePivot(layer, j, i) {
+      const matrices = layer.buffers.matrix.array;
+      const o = j * 16;
+      matrices.fill(0, o, o + 16);
+      matrices[o] = matrices[o + 5] = matrices[o + 10] = matrices[o + 15] = 1;
+      matrices[o + 12] = offsetX + (i % sim.cols) * tile;
+      matrices[o + 13] = offsetY - Math.floor(i / sim.cols) * tile - tile / 2;
+    }
+
+    // Move tile i into the layer of shape `slot`. In its old layer the last instance takes its
+    // place, so every layer draws a gap-free run. The caller writes its motion and color.
+    function placeTile(i, slot) {
+      const old = drawnShape[i];
+      if (old >= 0) {
+        const layer = shapeLayers[old];
+        const j = instanceOf[i];
+        const last = --layer.count;
+        if (j !== last) {
+          ALL_BUFFERS.forEach((name) => {
+            const size = layer.buffers[name].itemSize;
+            layer.buffers[name].array.copyWithin(j * size, last * size, (last + 1) * size);
+          });
+          layer.cells[j] = layer.cells[last];
+          instanceOf[layer.cells[j]] = j;
+          touch(layer, j, ALL_BUFFERS);
+        }
+        layer.front.count = layer.back.count = layer.count;
+      }
+      const layer = layerWithRoom(slot);
+      const j = layer.count++;
+      layer.front.count = layer.back.count = layer.count;
+      layer.cells[j] = i;
+      instanceOf[i] = j;
+      drawnShape[i] = slot;
+      layer.buffers.cell.array[j * 2] = i % sim.cols;
+      layer.buffers.cell.array[j * 2 + 1] = Math.floor(i / sim.cols);
+      writePivot(layer, j, i);
+      touch(layer, j, ['cell', 'matrix']);
+    }
+
+    // Pivot positions: only after a resize or a new grid
+    function syncLayout() {
+      shapeLayers.forEach((layer) => {
+        if (!layer || !layer.count) return;
+        for (let j = 0; j < layer.count; j++) writePivot(layer, j, layer.cells[j]);
+        touch(layer, 0, ['matrix']);
+        touch(layer, layer.count - 1, ['matrix']);
+      });
+      layoutDirty = false;
+    }
+
+    // Sync the instance attributes with the simulation. A tile whose motion the GPU
+    // already predicts (resting, or easing towards an unchanged target) is not touched.
+    function syncInstances() {
+      const cells = sim.cells;
+      const TOTAL = cells.length;
+      const mode = sim.config();
+      const motion = sim.reducedMotion ? RasterSim.REDUCED_FLIP_SPEED : 1;
+      if (layoutDirty) syncLayout();
+
+      // the clock went back (reset, seed, replay) or ran long: re-anchor everything
+      let now = sim.time - timeBase;
+      let rebase = false;
+      if (now < 0 || now > REBASE_TIME) {
+        timeBase = sim.time;
+        now = 0;
+        rebase = true;
+      }
+      tileUniforms.tileTime.value = now;
+      tileUniforms.tileZ.value = mode.zMult * tile;
+
+      for (let i = 0; i < TOTAL; i++) {
+        const cell = cells[i];
+
+        // Shape (unknown shapes draw as squares): a new one moves the tile to its layer
+        let fresh = rebase;
+        const slot = cell.shape in shapeSlots ? shapeSlots[cell.shape] : shapeSlots.square;
+        if (slot !== drawnShape[i]) {
+          placeTile(i, slot);
+          drawnColor[i] = null;
+          fresh = true;
+        }
+        const layer = shapeLayers[slot];
+        const j = instanceOf[i];
+
+        // Flip: re-anchor the easing when the target moved or the prediction drifted
+        const anim = layer.buffers.anim.array;
+        const a = j * 4;
+        const from = anim[a], to = anim[a + 1];
+        const predicted = from === to ? to : to + (from - to) * Math.exp(-anim[a + 2] * (now - anim[a + 3]));
+        if (fresh || Math.abs(cell.targetAngle - to) > ANGLE_TOLERANCE || Math.abs(cell.angle - predicted) > ANGLE_TOLERANCE) {
+          // the simulation moves a fraction min(1, speed * dt) per step, as a rate per second
+          const speed = mode.flipSpeed * motion * (!cell.pinned && cell.reverting && cell.revertSpeedMult ? cell.revertSpeedMult : 1);
+          anim[a] = cell.angle;
+          anim[a + 1] = cell.targetAngle;
+          anim[a + 2] = -Math.log(1 - Math.min(0.99, speed * stepDelta)) / stepDelta;
+          anim[a + 3] = now;
+          touch(layer, j, ['anim']);
+        }
+
+        // Flutter: amplitude in radians, phase shifted onto the rebased clock
+        const flutter = layer.buffers.flutter.array;
+        const f = j * 3;
+        const amp = cell.flutterActive ? (cell.flutterAmpDeg || 0) * (cell.currentIntensity || 0) * Math.PI / 180 : 0;
+        const omega = amp ? (cell.flutterFreq || 1) * 2 * Math.PI : 0;
+        if (fresh || Math.abs(amp - flutter[f]) > 1e-4 || Math.abs(omega - flutter[f + 1]) > 1e-4) {
+          flutter[f] = amp;
+          flutter[f + 1] = omega;
+          flutter[f + 2] = ((cell.flutterPhase || 0) + timeBase * omega) % (Math.PI * 2);
+          touch(layer, j, ['flutter']);
+        }
+
+        if (cell.color !== drawnColor[i]) {
+          drawnColor[i] = cell.color;
           _color.set(cell.color);
+          _color.toArray(layer.buffers.color.array, j * 3);
+          // the back image is shown untinted
+          if (backTexture) _color.set(0xffffff);
+          _color.toArray(layer.buffers.backColor.array, j * 3);
+          touch(layer, j, ['color', 'backColor']);
+        }
+      }
 
-          // Squares
-          if (isSquare) {
-            meshSquares.setMatrixAt(i, dummy.matrix);
-            meshSquares.setColorAt(i, _color);
-          } else {
-            dummy.scale.set(0, 0, 0);
-            dummy.updateMatrix();
-            meshSquares.setMatrixAt(i, dummy.matrix);
-            dummy.scale.set(1, 1, 1);
-            dummy.updateMatrix();
-          }
+      shapeLayers.forEach((layer) => {
+        if (!layer) return;
+        ALL_BUFFERS.forEach((name) => uploadRange(layer.buffers[name], layer.from[name], layer.to[name]));
+        layer.from = {};
+        layer.to = {};
+      });
+    }
 
-          // Circles
-          if (isCircle) {
-            meshCircles.setMatrixAt(i, dummy.matrix);
-            meshCircles.setColorAt(i, _color);
-          } else {
-            dummy.scale.set(0, 0, 0);
-            dummy.updateMatrix();
-            meshCircles.setMatrixAt(i, dummy.matrix);
-            dummy.scale.set(1, 1, 1);
-            dummy.updateMatrix();
+    // Project every tile through the camera into 2D polygons (pixel space, back to front).
+    // shading approximates the dirLight: tiles turned towards it get lighter, away darker;
+    // a tile lying flat keeps its exact color. Shadows are not part of the vector output.
+    function collectPolygons(cam, width, height, shading) {
+      const cells = sim.cells;
+      const time = sim.time;
+      const v = new THREE.Vector3();
+      const normal = new THREE.Vector3();
+      const viewDir = new THREE.Vector3();
+      cam.getWorldDirection(viewDir);
+      const lightDir = dirLight.position.clone().sub(dirLight.target.position).normalize();
+      const light = (nDotL) => ambientLight.intensity + dirLight.intensity * Math.max(0, nDotL);
+      const flatLight = light(lightDir.z);
+      const obj = new THREE.Object3D();
+      const polys = [];
+
+      for (let r = 0; r < sim.rows; r++) {
+        for (let c = 0; c < sim.cols; c++) {
+          const cell = cells[r * sim.cols + c];
+          placeCell(obj, cell, r, c, time);
+          const project = (pt) => {
+            v.set(pt[0], pt[1], 0).applyMatrix4(obj.matrix).project(cam);
+            return [(v.x + 1) / 2 * width, (1 - v.y) / 2 * height, v.z];
+          };
+
+          let fill = cell.color;
+          if (shading) {
+            normal.set(0, 0, 1).applyQuaternion(obj.quaternion);
+            if (normal.dot(viewDir) > 0) normal.negate(); // DoubleSide: back face is lit with the flipped normal
+            const f = light(normal.dot(lightDir)) / flatLight;
+            _color.set(cell.color);
+            _color.setRGB(Math.min(1, _color.r * f), Math.min(1, _color.g * f), Math.min(1, _color.b * f));
+            fill = '#' + _color.getHexString();
           }
+          // one polygon per filled region of the shape, holes cut out
+          RasterShapes.getShape(cell.shape).groups.forEach((g) => {
+            let depth = 0;
+            const points = g.outer.map((pt) => {
+              const p = project(pt);
+              depth += p[2];
+              return [p[0], p[1]];
+            });
+            const holes = g.holes.map((h) => h.map((pt) => project(pt).slice(0, 2)));
+            polys.push({ points, holes, fill, depth: depth / points.length });
+          });
+        }
+      }
+
+      // painter's algorithm: farthest first (larger NDC z is farther away)
+      polys.sort((a, b) => b.depth - a.depth);
+      return polys;
+    }
+
+    // Current composition as a vector document (string).
+    // opts: { format: 'svg' | 'pdf', width, height, shading, background }
+    function exportVector(opts) {
+      const o = Object.assign({ format: 'svg', width: canvasW, height: canvasH, shading: true, background: theme.background }, opts);
+      const cam = camera.clone();
+      fitCamera(cam, o.width, o.height);
+      const polys = collectPolygons(cam, o.width, o.height, o.shading);
+      return o.format === 'pdf' ? RasterVector.toPDF(polys, o) : RasterVector.toSVG(polys, o);
+    }
 
-          // Triangles
-          if (isTriangle) {
-            meshTriangles.setMatrixAt(i, dummy.matrix);
-            meshTriangles.setColorAt(i, _color);
-          } else {
-            dummy.scale.set(0, 0, 0);
-            dummy.updateMatrix();
-            meshTriangles.setMatrixAt(i, dummy.matrix);
-            dummy.scale.set(1, 1, 1);
-            dummy.updateMatrix();
+    function canvasToBlob(el, type) {
+      return new Promise((resolve, reject) => {
+        el.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('toBlob failed'))), type || 'image/png');
+      });
+    }
+
+    // Offline frame export: steps the simulation at a fixed rate (independent of
+    // wall-clock time) and renders every frame into a numbered PNG inside a zip.
+    // With a recording, its input stream is resampled at that rate; otherwise the
+    // current state keeps animating without pointer input for `seconds`.
+    // The live state is restored afterwards. All frames are held in memory, so
+    // keep long 4K exports in chunks.
+    // opts: { fps, seconds, width, height, pixelRatio, recording, onProgress(done, total) }
+    let exporting = false;
+    async function exportFrames(opts) {
+      if (exporting) throw new Error('Export already running');
+      const o = Object.assign({ fps: 30, seconds: 4, width: 1920, height: 1080, pixelRatio: 1, recording: null }, opts);
+      const dt = 1 / o.fps;
+      exporting = true;
+      stopReplay();
+      cursorMesh.visible = false;
+      const saved = sim.snapshot();
+      const savedFrozen = isFrozen;
+
+      const exportRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+      exportRenderer.setPixelRatio(o.pixelRatio);
+      exportRenderer.setSize(o.width, o.height, false);
+      exportRenderer.shadowMap.enabled = true;
+      exportRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+      const exportCamera = camera.clone();
+
+      let source = null;
+      let total = Math.round(o.seconds * o.fps);
+      if (o.recording) {
+        source = RasterRecorder.createPlayer(o.recording);
+        source.rewind(sim);
+        isFrozen = source.frozen;
+        initMeshes();
+        resize();
+        total = Infinity; // until the recording runs out
+      }
+      fitCamera(exportCamera, o.width, o.height);
+
+      const onExportEvent = (type, value) => {
+        onReplayEvent(type, value);
+        if (type === 'grid') fitCamera(exportCamera, o.width, o.height);
+      };
+
+      const zip = RasterZip.createZip();
+      try {
+        for (let frame = 0; frame < total; frame++) {
+          if (source) {
+            if (source.stepFixed(sim, dt, onExportEvent) < 0) break;
+          } else if (!isFrozen) {
+            sim.step(dt, null);
           }
+          stepDelta = dt;
+          syncInstances();
+          exportRenderer.render(scene, exportCamera);
+          const png = await canvasToBlob(exportRenderer.domElement);
+          zip.add('frame_' + String(frame + 1).padStart(5, '0') + '.png', new Uint8Array(await png.arrayBuffer()));
+          if (o.onProgress) o.onProgress(frame + 1, total);
         }
+      } finally {
+        exportRenderer.dispose();
+        sim.restore(saved);
+        isFrozen = savedFrozen;
+        initMeshes();
+        resize();
+        exporting = false;
+      }
+      announce('Exported ' + zip.count + ' frames at ' + o.fps + ' fps');
+      return zip.toBlob();
+    }
+
+    applyTheme();
+
+    // ?preset=<name> applies a stored tuning (per-venue setups)
+    const startPreset = params.get('preset');
+    if (startPreset) loadPreset(startPreset);
+
+    const remoteUrl = params.get('remote');
+    if (remoteUrl) connectRemote(remoteUrl);
+
+    // Ensure resize runs once before loop to set up camera/positions
+    resize();
+    frame = requestAnimationFrame(loop);
+
+    // Stop the loop, let go of inputs and listeners and free the GPU resources
+    function destroy() {
+      cancelAnimationFrame(frame);
+      stopReplay();
+      if (simWorker) simWorker.disable();
+      audioIn.stop();
+      disconnectRemote();
+      cleanup.splice(0).forEach((fn) => fn());
+      group.children.forEach((child) => { if (child.isInstancedMesh) child.dispose(); });
+      shapeLayers.forEach((layer) => { if (layer) layer.geometry.dispose(); });
+      if (meshHit) {
+        meshHit.geometry.dispose();
+        meshHit.material.dispose();
       }
+      mat.dispose();
+      backMat.dispose();
+      depthMat.dispose();
+      cursorMesh.geometry.dispose();
+      cursorMesh.material.dispose();
+      if (backTexture) backTexture.dispose();
+      renderer.dispose();
+    }
 
-      meshSquares.instanceMatrix.needsUpdate = true;
-      meshSquares.instanceColor.needsUpdate = true;
-      meshCircles.instanceMatrix.needsUpdate = true;
-      meshCircles.instanceColor.needsUpdate = true;
-      meshTriangles.instanceMatrix.needsUpdate = true;
-      meshTriangles.instanceColor.needsUpdate = true;
-    } catch (e) {
-      console.error(e);
-      alert("Error in draw(): " + e.message);
-      isFrozen = true; // stop loop
+    // Public controller: plain JSON state in and out
+    function getState() {
+      return {
+        mode: sim.mode,
+        modes: RasterSim.MODE_ORDER.slice(),
+        frozen: isFrozen,
+        cols: sim.cols,
+        rows: sim.rows,
+        seed: sim.seed,
+        palette: sim.palette,
+        theme: themeName,
+        flipped: countFlipped(),
+        revealed: sim.revealProgress(),
+        editing,
+        idle: attract.active,
+        audio: audioIn.kind,
+        replaying: !!player,
+        reducedMotion: sim.reducedMotion,
+        transition: sim.transition,
+        params: currentParams()
+      };
     }
-  }
 
+    // Apply any subset of getState(): cols/rows, seed, palette, theme (a name or a custom theme), params,
+    // transition, mode, frozen, editing, reducedMotion.
+    // Goes through the same commands as the keys, so it is recorded like them.
+    function setState(state) {
+      if (!state) return getState();
+      if (state.cols !== undefined || state.rows !== undefined) {
+        setGridSize(state.cols !== undefined ? state.cols : sim.cols, state.rows !== undefined ? state.rows : sim.rows);
+      }
+      if (state.seed !== undefined && state.seed !== sim.seed) setSeed(state.seed);
+      if (state.palette !== undefined) setPalette(state.palette);
+      if (state.theme !== undefined && state.theme !== themeName) setTheme(state.theme);
+      if (state.params) {
+        Object.keys(state.params).forEach((name) => setModeParams(name, state.params[name]));
+        if (settings) settings.refresh();
+      }
+      if (state.transition !== undefined) setTransition(state.transition);
+      if (state.mode !== undefined && state.mode !== sim.mode) {
+        if (!RasterSim.MODES[state.mode]) throw new Error('Unknown mode: ' + state.mode);
+        setMode(state.mode);
+      }
+      if (typeof state.frozen === 'boolean') toggleFreeze(state.frozen);
+      if (typeof state.editing === 'boolean') setEditing(state.editing);
+      if (typeof state.reducedMotion === 'boolean') setReducedMotion(state.reducedMotion);
+      return getState();
+    }
 
+    // Copy of one cell's visible state, or null outside the grid
+    function getCell(row, col) {
+      if (!(row >= 0 && row < sim.rows && col >= 0 && col < sim.cols)) return null;
+      const cell = sim.cells[row * sim.cols + col];
+      return {
+        row,
+        col,
+        shape: cell.shape,
+        color: cell.color,
+        angle: cell.angle,
+        flipped: cell.flipped,
+        pinned: cell.pinned,
+        revealed: cell.revealed,
+        modifiedBy: cell.modifiedBy
+      };
+    }
 
+    function getCells() {
+      const out = [];
+      for (let r = 0; r < sim.rows; r++) {
+        for (let c = 0; c < sim.cols; c++) out.push(getCell(r, c));
+      }
+      return out;
+    }
 
-  // Change BG back to normal
-  scene.background = new THREE.Color(BG);
+    return {
+      canvas,
+      destroy,
+      on: events.on,
+      off: events.off,
+      once: events.once,
+      getState,
+      setState,
+      getCell,
+      getCells,
+      setMode,
+      toggleFreeze,
+      resetGrid,
+      sim,
+      setGridSize,
+      getGridSize,
+      registerMode,
+      registerShape,
+      loadShapeFile,
+      loadImage,
+      clearImage,
+      loadBackImage,
+      clearBackImage,
+      revealProgress: () => sim.revealProgress(),
+      startAudio,
+      startMicrophone,
+      stopAudio: () => audioIn.stop(),
+      setBeatAction,
+      addPulse,
+      remote: {
+        connect: connectRemote,
+        disconnect: disconnectRemote,
+        get status() { return remote ? remote.status : 'off'; },
+        send: (msg) => !!remote && remote.send(msg)
+      },
+      setSeed,
+      setPalette,
+      setTheme,
+      setReducedMotion,
+      setTransition,
+      startRecording,
+      stopRecording,
+      replay,
+      stopReplay,
+      exportFrames,
+      exportVector,
+      editor,
+      setEditing,
+      attract,
+      setModeParams,
+      presets: {
+        list: () => presets.list(),
+        load: loadPreset,
+        save: savePreset,
+        remove: (name) => presets.remove(name),
+        export: exportPreset,
+        import: importPreset
+      },
+      releasePins
+    };
+  }
 
-  // Ensure resize runs once before loop to set up camera/positions
-  resize();
-  requestAnimationFrame(loop);
+  window.RasterGrid = { createGrid };
+
+  // The page's full-screen grid (index.html); <raster-grid> elements make their own (element.js)
+  const pageCanvas = document.getElementById('gridCanvas');
+  if (pageCanvas) {
+    window.rasterGrid = createGrid({
+      canvas: pageCanvas,
+      container: document.body,
+      controls: document.getElementById('controls'),
+      params: new URLSearchParams(window.location.search),
+      fullscreen: true
+    });
+  }
 })();
\ No newline at end of file
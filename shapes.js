@@ -0,0 +1,326 @@
+/* Tile shape registry
+   - a shape is one or more closed outlines; registering fits it into the tile
+     (0.9 units, aspect kept), centers it vertically and moves its left edge
+     onto the flip pivot (x = 0)
+   - built-ins: square, circle, triangle, hexagon, cross, halfCircle, line
+   - user shapes from SVG path data (M L H V C S Q T A Z, absolute and relative)
+   - the renderer builds meshes and vector outlines from the same contours
+   - works in the browser (global RasterShapes) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterShapes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TILE = 0.9;           // tile extent, the gap to the neighbor is 0.1
+  const CURVE_SEGMENTS = 12;  // line segments per SVG curve / arc
+
+  const SHAPES = {};
+  const SHAPE_ORDER = [];
+
+  // Regular polygon outline, first vertex at angle `start` (radians)
+  function polygon(n, start) {
+    return Array.from({ length: n }, (_, k) => {
+      const a = (start || 0) + k / n * Math.PI * 2;
+      return [Math.cos(a), Math.sin(a)];
+    });
+  }
+
+  function signedArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += (points[j][0] - points[i][0]) * (points[j][1] + points[i][1]);
+    }
+    return area / 2;
+  }
+
+  function pointInPolygon(pt, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a[1] > pt[1]) !== (b[1] > pt[1]) &&
+        pt[0] < (b[0] - a[0]) * (pt[1] - a[1]) / (b[1] - a[1]) + a[0]) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Scale contours into the tile and put the left edge on the pivot
+  function fitContours(contours, fit) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    contours.forEach((contour) => contour.forEach((p) => {
+      minX = Math.min(minX, p[0]);
+      maxX = Math.max(maxX, p[0]);
+      minY = Math.min(minY, p[1]);
+      maxY = Math.max(maxY, p[1]);
+    }));
+    const size = Math.max(maxX - minX, maxY - minY);
+    const scale = (fit === false || !(size > 0)) ? 1 : TILE / size;
+    const midY = (minY + maxY) / 2;
+    return contours.map((contour) => contour.map((p) => [(p[0] - minX) * scale, (p[1] - midY) * scale]));
+  }
+
+  // Group contours into filled regions: { outer, holes } (a contour inside another one is a hole)
+  function groupContours(contours) {
+    const sorted = contours.slice().sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)));
+    const groups = [];
+    sorted.forEach((contour) => {
+      let parent = null;
+      for (let i = groups.length - 1; i >= 0; i--) {
+        if (pointInPolygon(contour[0], groups[i].outer)) {
+          parent = groups[i];
+          break;
+        }
+      }
+      // a contour inside a hole starts a new island
+      const inHole = parent && parent.holes.some((h) => pointInPolygon(contour[0], h));
+      if (parent && !inHole) parent.holes.push(contour);
+      else groups.push({ outer: contour, holes: [] });
+    });
+    return groups;
+  }
+
+  // Parse SVG path data into closed polygons (curves flattened). SVG y points down.
+  function parsePath(d, segments) {
+    const n = segments || CURVE_SEGMENTS;
+    const tokens = String(d).match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const contours = [];
+    let current = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let ctrlX = 0, ctrlY = 0; // last control point for S / T
+    let prevCmd = '';
+    let cmd = '';
+    let i = 0;
+
+    const isCommand = (t) => /^[A-Za-z]$/.test(t);
+    const num = () => {
+      const v = parseFloat(tokens[i++]);
+      if (!isFinite(v)) throw new Error('Bad path data near token ' + i);
+      return v;
+    };
+    // arc flags are one character, 0 or 1, and may run into what follows ("a5 5 0 104 4")
+    const flag = () => {
+      const t = tokens[i];
+      if (t == null || (t[0] !== '0' && t[0] !== '1')) throw new Error('Bad path data near token ' + (i + 1));
+      if (t.length > 1) tokens[i] = t.slice(1);
+      else i++;
+      return t[0] === '1' ? 1 : 0;
+    };
+    const lineTo = (nx, ny) => {
+      if (!current) {
+        current = [[x, y]];
+        contours.push(current);
+      }
+      current.push([nx, ny]);
+      x = nx;
+      y = ny;
+    };
+    const cubic = (x1, y1, x2, y2, ex, ey) => {
+      const x0 = x, y0 = y;
+      for (let k = 1; k <= n; k++) {
+        const t = k / n, u = 1 - t;
+        lineTo(u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * ex,
+          u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * ey);
+      }
+    };
+    const quad = (x1, y1, ex, ey) => {
+      const x0 = x, y0 = y;
+      for (let k = 1; k <= n; k++) {
+        const t = k / n, u = 1 - t;
+        lineTo(u * u * x0 + 2 * u * t * x1 + t * t * ex, u * u * y0 + 2 * u * t * y1 + t * t * ey);
+      }
+    };
+    // Elliptical arc, endpoint to center parameterization (SVG 1.1 F.6.5)
+    const arc = (rx, ry, rotDeg, large, sweep, ex, ey) => {
+      rx = Math.abs(rx);
+      ry = Math.abs(ry);
+      if (!rx || !ry) {
+        lineTo(ex, ey);
+        return;
+      }
+      const phi = rotDeg * Math.PI / 180;
+      const cos = Math.cos(phi), sin = Math.sin(phi);
+      const dx = (x - ex) / 2, dy = (y - ey) / 2;
+      const x1 = cos * dx + sin * dy;
+      const y1 = -sin * dx + cos * dy;
+      const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+      if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+      }
+      const num2 = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+      const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+      let coef = Math.sqrt(Math.max(0, num2 / den));
+      if (large === sweep) coef = -coef;
+      const cx1 = coef * rx * y1 / ry;
+      const cy1 = -coef * ry * x1 / rx;
+      const cx = cos * cx1 - sin * cy1 + (x + ex) / 2;
+      const cy = sin * cx1 + cos * cy1 + (y + ey) / 2;
+      const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      const t1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+      let dt = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+      if (!sweep && dt > 0) dt -= Math.PI * 2;
+      if (sweep && dt < 0) dt += Math.PI * 2;
+      const steps = Math.max(2, Math.ceil(n * Math.abs(dt) / (Math.PI / 2)));
+      for (let k = 1; k <= steps; k++) {
+        const t = t1 + dt * k / steps;
+        const px = rx * Math.cos(t), py = ry * Math.sin(t);
+        if (k === steps) lineTo(ex, ey);
+        else lineTo(cos * px - sin * py + cx, sin * px + cos * py + cy);
+      }
+    };
+
+    while (i < tokens.length) {
+      if (isCommand(tokens[i])) cmd = tokens[i++];
+      else if (!cmd) throw new Error('Path data must start with a command');
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? x : 0, oy = rel ? y : 0;
+      switch (cmd.toUpperCase()) {
+        case 'M':
+          x = num() + ox;
+          y = num() + oy;
+          startX = x;
+          startY = y;
+          current = null;
+          // further pairs after M are line segments
+          cmd = rel ? 'l' : 'L';
+          break;
+        case 'L': lineTo(num() + ox, num() + oy); break;
+        case 'H': lineTo(num() + ox, y); break;
+        case 'V': lineTo(x, num() + oy); break;
+        case 'C': {
+          const x1 = num() + ox, y1 = num() + oy, x2 = num() + ox, y2 = num() + oy;
+          cubic(x1, y1, x2, y2, num() + ox, num() + oy);
+          ctrlX = x2;
+          ctrlY = y2;
+          break;
+        }
+        case 'S': {
+          const smooth = /[CS]/i.test(prevCmd);
+          const x1 = smooth ? 2 * x - ctrlX : x, y1 = smooth ? 2 * y - ctrlY : y;
+          const x2 = num() + ox, y2 = num() + oy;
+          cubic(x1, y1, x2, y2, num() + ox, num() + oy);
+          ctrlX = x2;
+          ctrlY = y2;
+          break;
+        }
+        case 'Q': {
+          const x1 = num() + ox, y1 = num() + oy;
+          quad(x1, y1, num() + ox, num() + oy);
+          ctrlX = x1;
+          ctrlY = y1;
+          break;
+        }
+        case 'T': {
+          const smooth = /[QT]/i.test(prevCmd);
+          const x1 = smooth ? 2 * x - ctrlX : x, y1 = smooth ? 2 * y - ctrlY : y;
+          quad(x1, y1, num() + ox, num() + oy);
+          ctrlX = x1;
+          ctrlY = y1;
+          break;
+        }
+        case 'A': {
+          const rx = num(), ry = num(), rot = num(), large = flag(), sweep = flag();
+          arc(rx, ry, rot, large, sweep, num() + ox, num() + oy);
+          break;
+        }
+        case 'Z':
+          current = null;
+          x = startX;
+          y = startY;
+          break;
+        default:
+          throw new Error('Unsupported path command: ' + cmd);
+      }
+      prevCmd = cmd;
+    }
+
+    // drop the duplicated closing point and degenerate pieces
+    return contours
+      .map((c) => {
+        const last = c[c.length - 1];
+        if (c.length > 1 && Math.abs(last[0] - c[0][0]) < 1e-9 && Math.abs(last[1] - c[0][1]) < 1e-9) c.pop();
+        return c;
+      })
+      .filter((c) => c.length >= 3 && Math.abs(signedArea(c)) > 1e-12);
+  }
+
+  // All path data in an SVG document (the d attributes of its <path> elements)
+  function pathsFromSVG(text) {
+    const out = [];
+    const re = /<path\b[^>]*?\sd\s*=\s*("([^"]*)"|'([^']*)')/gi;
+    let m;
+    while ((m = re.exec(String(text)))) out.push(m[2] !== undefined ? m[2] : m[3]);
+    return out;
+  }
+
+  // def: { outline: [[x, y], ...] } | { contours: [outline, ...] } | { path: 'M0 0 ...' } | { svg: '<svg>...' }
+  // Outlines use y up, path data / SVG use y down. fit: false keeps the size (tile units).
+  function registerShape(name, def) {
+    let contours;
+    if (def.svg) contours = [].concat.apply([], pathsFromSVG(def.svg).map((d) => parsePath(d)));
+    else if (def.path) contours = parsePath(def.path);
+    else contours = def.contours || (def.outline ? [def.outline] : []);
+    if (def.svg || def.path) contours = contours.map((c) => c.map((p) => [p[0], -p[1]]));
+    contours = contours.filter((c) => c.length >= 3);
+    if (!contours.length) throw new Error('Shape "' + name + '" has no outline');
+
+    const fitted = fitContours(contours, def.fit);
+    const groups = groupContours(fitted);
+    // covered fraction of the tile cell (1 x 1), outlines minus holes
+    let area = 0;
+    groups.forEach((g) => {
+      area += Math.abs(signedArea(g.outer));
+      g.holes.forEach((h) => { area -= Math.abs(signedArea(h)); });
+    });
+    const shape = { name, contours: fitted, groups, area };
+    if (!SHAPES[name]) SHAPE_ORDER.push(name);
+    SHAPES[name] = shape;
+    return shape;
+  }
+
+  function getShape(name) {
+    return SHAPES[name] || SHAPES.square;
+  }
+
+  // Registered shape names from least to most covered tile (halftone ramps)
+  function byCoverage() {
+    return SHAPE_ORDER.slice().sort((a, b) => SHAPES[a].area - SHAPES[b].area);
+  }
+
+  // Built-ins
+  registerShape('square', { outline: [[-1, -1], [1, -1], [1, 1], [-1, 1]] });
+  registerShape('circle', { outline: polygon(48) });
+  // equilateral, tip to the right, vertical base on the pivot
+  registerShape('triangle', { outline: polygon(3) });
+  // flat sides left and right
+  registerShape('hexagon', { outline: polygon(6, Math.PI / 6) });
+  registerShape('cross', {
+    outline: [[-1, -1 / 3], [-1 / 3, -1 / 3], [-1 / 3, -1], [1 / 3, -1], [1 / 3, -1 / 3], [1, -1 / 3],
+      [1, 1 / 3], [1 / 3, 1 / 3], [1 / 3, 1], [-1 / 3, 1], [-1 / 3, 1 / 3], [-1, 1 / 3]]
+  });
+  // flat side on the pivot, round side out
+  registerShape('halfCircle', {
+    outline: Array.from({ length: 25 }, (_, k) => {
+      const a = -Math.PI / 2 + k / 24 * Math.PI;
+      return [Math.cos(a), Math.sin(a)];
+    })
+  });
+  registerShape('line', { outline: [[0, -0.06], [1, -0.06], [1, 0.06], [0, 0.06]] });
+
+  return {
+    TILE,
+    SHAPES,
+    SHAPE_ORDER,
+    registerShape,
+    getShape,
+    byCoverage,
+    parsePath,
+    pathsFromSVG,
+    groupContours
+  };
+});
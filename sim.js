@@ -0,0 +1,1642 @@
+/* Headless simulation core for the flip-grid
+   - cell state, attenuation, activation, flip and revert timers
+   - no DOM, no WebGL: feed it the active cell(s) and a time delta
+   - several simultaneous active points (multi-touch), each with its own activation seed
+   - pinned cells (paint/edit mode) hold their shape, color and angle and never revert
+   - runs in the browser (global RasterSim) and in Node (require('./sim.js'))
+   - all randomness comes from a seedable PRNG, so runs are reproducible
+   - mode parameters can be tuned live (configureMode / sim.setModeParams)
+   - an optional per-cell base state (shape, color, resting angle, e.g. from an image)
+     replaces the white square as the state cells rest in and revert to
+   - cells turned past 90 degrees show their back face and count as revealed (revealProgress)
+   - external drives besides the pointers: expanding pulses (flip waves, e.g. on a beat)
+     and per-column audio levels (spectrum bars that lift and flutter the cells)
+   - traveling waves: in modes with waveStrength > 0 every flip sends a ripple outward
+     (ring, line or cross front) that keeps moving cell to cell, damped, and overlapping
+     ripples interfere (mode 4, Wave)
+   - cellular automata: the grid evolves by itself under birth/survival rules (Life, Brian's Brain,
+     any "B3/S23" or "B2/S/C3" string); live cells are flipped, pointers seed them (mode 5, Automaton)
+   - reduced motion (prefers-reduced-motion): no flutter and slower flips in every mode
+   - themes (themes.js) set the color tiles rest in and per-mode colors for a grid; whether a cell
+     was changed is its modifiedBy, never its color, so any palette works with every mode
+   - transitions: setMode and reset can send the cells back (and bring them in) in a pattern -
+     sweep, radial or spiral from the pointer, diagonal, checkerboard, random - over a duration
+     with an easing, instead of each mode's own random dissolve
+   - cell state is struct-of-arrays (one typed array per field); sim.cells are views onto it,
+     and exportState / importState move the whole grid between threads (simworker.js)
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterSim = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Grid config
+  const DEFAULT_COLS = 40;
+  const DEFAULT_ROWS = 40;
+  const MAX_GRID_DIM = 400;
+  const MAX_ANGLE_DEG = 180;
+  const MAX_ANGLE = MAX_ANGLE_DEG * Math.PI / 180;
+  const REVEAL_ANGLE = MAX_ANGLE / 2; // beyond this the back face points at the viewer
+  const PULSE_DEFAULTS = { speed: 25, width: 1.5, strength: 1 }; // cells/s, ring half width in cells, 0..1
+  const AUDIO_FLUTTER = 3; // extra flutter at full level, in multiples of the mode's maxFlutterAmpDeg
+  const WAVE_SHAPES = ['ring', 'line', 'cross']; // ring: circles, line: fronts moving left and right, cross: along row and column
+  const MAX_WAVES = 32; // the oldest (weakest) ripple makes room for a new one
+  const MIN_WAVE_AMP = 0.01;
+  const REDUCED_FLIP_SPEED = 0.35; // flip easing rate multiplier with reduced motion
+  // Named automaton rules: Bx/Sy = neighbor counts for birth / survival, Cn = states incl. dying ones
+  const AUTOMATON_RULES = {
+    life: 'B3/S23',
+    highlife: 'B36/S23',
+    seeds: 'B2/S',
+    daynight: 'B3678/S34678',
+    brain: 'B2/S/C3' // Brian's Brain: live cells always die, through one dying state
+  };
+  // Transition patterns: the order in which setMode / reset send the cells back and bring them in
+  const TRANSITION_PATTERNS = ['sweep', 'radial', 'spiral', 'diagonal', 'checkerboard', 'random'];
+  // Easings of the transition front, inverted: when (fraction of the duration) it reaches the
+  // cell at position t (0 first, 1 last)
+  const TRANSITION_EASINGS = {
+    linear: (t) => t,
+    'ease-in': (t) => Math.sqrt(t),
+    'ease-out': (t) => 1 - Math.sqrt(1 - t),
+    'ease-in-out': (t) => Math.acos(1 - 2 * t) / Math.PI
+  };
+  const TRANSITION_DEFAULTS = { duration: 1.5, easing: 'ease-in-out' };
+  const MAX_TRANSITION_DURATION = 20; // seconds
+  const SPIRAL_PITCH = 2; // cells between the turns of the spiral
+  const DEFAULT_SHAPE = 'square';
+  const DEFAULT_COLOR = '#ffffff'; // resting tiles without a theme
+
+  // Mode registry - each mode supplies its parameters and lifecycle hooks.
+  // Hooks (all optional) receive the affected cell (if any) and the simulation:
+  //   enter(sim, prevMode)     - mode became active (transition in)
+  //   exit(sim, nextMode)      - mode is being left (transition out)
+  //   activate(cell, sim)      - active cell hit this cell's main row/column (set pendingShape/pendingColor)
+  //   tick(cell, sim, info)    - per-frame, after the target angle is computed
+  //   flipComplete(cell, sim)  - pending shape was swapped in at MID_ANGLE
+  //   revert(cell, sim)        - revert timer of a cell modified by this mode ran out
+  //   wake(cell, sim)          - wake timer ran out (a cell brought back in by a transition)
+  //   update(sim, delta)       - once per step, before the cells (whole-grid rules)
+  // A mode with autonomous: true moves the cells itself: they flip through its full
+  // startDeg wherever the pointers are.
+  const MODES = {};
+  // registration order, drives keys 1-9: the built-ins take 1-5 (labil, stable, reveal, wave,
+  // automaton), so registerMode'd modes start at 6 and only the first four get a key
+  const MODE_ORDER = [];
+  const MODE_DEFAULTS = {
+    startDeg: 45,
+    decay: 0.7,
+    minDeg: 5,
+    maxFlutterAmpDeg: 2.0,
+    minFlutterAmpDeg: 1.0,
+    flutterFreqMin: 0.5,
+    flutterFreqMax: 1.5,
+    colors: ['#ffffff'],
+    shapeWeights: { square: 0.34, circle: 0.33, triangle: 0.33 },
+    flutter: true,       // false => no flutter at all in this mode
+    flipSpeed: 12,       // angle easing rate (per second)
+    reactionDecay: 2.8,  // how fast neighbor reactions fade
+    neighborAmp: 0.6,    // reaction pushed into the 8 neighbors on flip
+    zMult: 0.04,         // z lift while flipped, fraction of tile
+    waveStrength: 0,     // ripple sent out by each flip, 0 = none
+    waveSpeed: 12,       // cells/s
+    waveDamping: 0.08,   // amplitude loss per cell travelled (exponential)
+    waveWidth: 2,        // length of the crest (and of the trough behind it), in cells
+    waveShape: 'ring',   // one of WAVE_SHAPES
+    automatonRate: 6,    // generations per second
+    automatonRule: 'life' // a name from AUTOMATON_RULES or a rule string
+  };
+
+  // Live-tunable numeric mode parameters and their ranges (settings panel, presets).
+  // flutter (bool), colors (hex list), shapeWeights (shape -> weight), waveShape and
+  // automatonRule are tunable too.
+  const MODE_PARAMS = {
+    startDeg: { min: 0, max: MAX_ANGLE_DEG, step: 1 },
+    decay: { min: 0.05, max: 0.99, step: 0.01 },
+    minDeg: { min: 0, max: 90, step: 0.5 },
+    maxFlutterAmpDeg: { min: 0, max: 20, step: 0.1 },
+    minFlutterAmpDeg: { min: 0, max: 20, step: 0.1 },
+    flutterFreqMin: { min: 0, max: 10, step: 0.05 },
+    flutterFreqMax: { min: 0, max: 10, step: 0.05 },
+    flipSpeed: { min: 0.5, max: 40, step: 0.5 },
+    reactionDecay: { min: 0.1, max: 20, step: 0.1 },
+    neighborAmp: { min: 0, max: 1, step: 0.05 },
+    zMult: { min: 0, max: 0.5, step: 0.01 },
+    waveStrength: { min: 0, max: 1, step: 0.05 },
+    waveSpeed: { min: 1, max: 60, step: 0.5 },
+    waveDamping: { min: 0, max: 1, step: 0.01 },
+    waveWidth: { min: 0.5, max: 10, step: 0.5 },
+    automatonRate: { min: 0.5, max: 30, step: 0.5 }
+  };
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+  function registerMode(name, def) {
+    if (!name || typeof name !== 'string') throw new Error('registerMode: name must be a string');
+    const existed = !!MODES[name];
+    MODES[name] = Object.assign({ label: name }, MODE_DEFAULTS, def);
+    if (!existed) MODE_ORDER.push(name);
+    return MODES[name];
+  }
+
+  // Current tunable parameters of a mode as plain JSON (presets)
+  function getModeParams(name) {
+    const mode = MODES[name];
+    if (!mode) return null;
+    const out = {};
+    Object.keys(MODE_PARAMS).forEach((key) => { out[key] = mode[key]; });
+    out.flutter = mode.flutter;
+    out.waveShape = mode.waveShape;
+    out.automatonRule = mode.automatonRule;
+    out.colors = mode.colors.slice();
+    out.shapeWeights = Object.assign({}, mode.shapeWeights);
+    return out;
+  }
+
+  // Merge tunable parameters into a registered mode. Unknown keys and invalid
+  // values are ignored, numbers are clamped to MODE_PARAMS, weights normalized.
+  function configureMode(name, values) {
+    const mode = MODES[name];
+    if (!mode || !values) return null;
+    Object.keys(MODE_PARAMS).forEach((key) => {
+      const v = Number(values[key]);
+      if (values[key] === undefined || !isFinite(v)) return;
+      mode[key] = Math.min(MODE_PARAMS[key].max, Math.max(MODE_PARAMS[key].min, v));
+    });
+    if (typeof values.flutter === 'boolean') mode.flutter = values.flutter;
+    if (WAVE_SHAPES.indexOf(values.waveShape) >= 0) mode.waveShape = values.waveShape;
+    if (typeof values.automatonRule === 'string' && parseRule(values.automatonRule)) {
+      mode.automatonRule = values.automatonRule.trim();
+    }
+    if (Array.isArray(values.colors)) {
+      const colors = values.colors.filter((c) => HEX_COLOR.test(c));
+      if (colors.length) mode.colors = colors;
+    }
+    if (values.shapeWeights && typeof values.shapeWeights === 'object') {
+      const weights = {};
+      let total = 0;
+      Object.keys(values.shapeWeights).forEach((shape) => {
+        const w = Number(values.shapeWeights[shape]);
+        if (isFinite(w) && w > 0) {
+          weights[shape] = w;
+          total += w;
+        }
+      });
+      if (total > 0) {
+        Object.keys(weights).forEach((shape) => { weights[shape] /= total; });
+        mode.shapeWeights = weights;
+      }
+    }
+    return mode;
+  }
+
+  // "B3/S23" (birth / survival neighbor counts), optionally "/C3" for states including the
+  // dying ones, or a name from AUTOMATON_RULES. Returns { birth, survive, states } or null.
+  const parsedRules = new Map();
+  function parseRule(rule) {
+    const name = String(rule).trim().toLowerCase();
+    const text = (Object.prototype.hasOwnProperty.call(AUTOMATON_RULES, name) ? AUTOMATON_RULES[name] : name).toUpperCase();
+    if (parsedRules.has(text)) return parsedRules.get(text);
+    const m = /^B([0-8]*)\/S([0-8]*)(?:\/C(\d+))?$/.exec(text);
+    let out = null;
+    if (m) {
+      const states = m[3] ? Number(m[3]) : 2;
+      if (states >= 2 && states <= 32) {
+        out = { birth: new Array(9).fill(false), survive: new Array(9).fill(false), states };
+        m[1].split('').forEach((n) => { out.birth[n] = true; });
+        m[2].split('').forEach((n) => { out.survive[n] = true; });
+      }
+    }
+    parsedRules.set(text, out);
+    return out;
+  }
+
+  // Seedable PRNG (mulberry32). State is a single uint32, so it can be snapshotted.
+  function createRandom(seed) {
+    let a = hashSeed(seed);
+    function random() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => a;
+    random.setState = (state) => { a = state >>> 0; };
+    return random;
+  }
+
+  // Numbers are used as-is, strings are hashed (FNV-1a), anything else picks a fresh seed
+  function hashSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+    if (typeof seed === 'string' && seed.length) {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < seed.length; i++) {
+        h ^= seed.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      return h >>> 0;
+    }
+    return (Math.random() * 4294967296) >>> 0;
+  }
+
+  function clampDim(v, fallback) {
+    const n = Math.floor(Number(v));
+    if (!isFinite(n) || n < 1) return fallback;
+    return Math.min(MAX_GRID_DIM, n);
+  }
+
+  function createCell(random) {
+    return {
+      shape: 'square',
+      color: DEFAULT_COLOR,
+      angle: 0,
+      targetAngle: 0,
+      zOffset: 0,
+      lastActivationSeed: -1,
+      pendingShape: null,
+      pendingColor: null,
+      reaction: 0,
+      flipped: false,
+      flippedMaxAngle: null,
+      flutterPhase: random() * Math.PI * 2,
+      flutterFreq: 0.6 + random() * 1.4,
+      flutterAmpDeg: 2.0 + random() * 3.0,
+      currentIntensity: 0,
+      flutterActive: false,
+      baseFlutterAmpDeg: 2.0 + random() * 3.0,
+      baseFlutterFreq: 0.6 + random() * 1.4,
+      // debounce helpers for mode activation hooks
+      activationCount: 0,
+      cooldown: 0,
+      // time in seconds until this cell reverts to default (white square)
+      revertTimer: null,
+      // which mode last modified this cell (a registered mode name) or null
+      modifiedBy: null,
+      // revert helpers for slow/staggered reverting
+      reverting: false,
+      revertSpeedMult: 1,
+      morphTimer: 0, // timer for random shape shuffling in labil mode
+      // set by paint/edit mode: held at pinAngle, exempt from activation and revert timers
+      pinned: false,
+      pinAngle: 0,
+      // resting state (image mosaic); null = white square, angle in radians
+      baseShape: null,
+      baseColor: null,
+      baseAngle: 0,
+      // back face has been shown (turned past 90 degrees) since the last reset
+      revealed: false,
+      // cellular automaton: 0 dead, 1 alive, 2.. dying (Automaton mode)
+      automatonState: 0,
+      // time in seconds until the current mode's wake hook brings this cell in (transitions)
+      wakeTimer: null
+    };
+  }
+
+  // Cell state as struct-of-arrays: one typed array per field, so a grid of any size is a
+  // handful of buffers that can be transferred to and from a worker. Kinds:
+  //   number   - Float64Array
+  //   nullable - Float64Array, NaN stands for null
+  //   flag     - Uint8Array, read back as a boolean
+  //   string   - Int32Array of indices into the grid's string table, -1 stands for null
+  const CELL_FIELDS = [
+    ['shape', 'string'], ['color', 'string'], ['angle', 'number'], ['targetAngle', 'number'],
+    ['zOffset', 'number'], ['lastActivationSeed', 'number'], ['pendingShape', 'string'],
+    ['pendingColor', 'string'], ['reaction', 'number'], ['flipped', 'flag'],
+    ['flippedMaxAngle', 'nullable'], ['flutterPhase', 'number'], ['flutterFreq', 'number'],
+    ['flutterAmpDeg', 'number'], ['currentIntensity', 'number'], ['flutterActive', 'flag'],
+    ['baseFlutterAmpDeg', 'number'], ['baseFlutterFreq', 'number'], ['activationCount', 'number'],
+    ['cooldown', 'number'], ['revertTimer', 'nullable'], ['modifiedBy', 'string'],
+    ['reverting', 'flag'], ['revertSpeedMult', 'number'], ['morphTimer', 'number'],
+    ['pinned', 'flag'], ['pinAngle', 'number'], ['baseShape', 'string'], ['baseColor', 'string'],
+    ['baseAngle', 'number'], ['revealed', 'flag'], ['automatonState', 'number'],
+    ['wakeTimer', 'nullable']
+  ];
+  const FIELD_ARRAYS = { number: Float64Array, nullable: Float64Array, flag: Uint8Array, string: Int32Array };
+
+  function intern(store, value) {
+    let id = store.ids.get(value);
+    if (id === undefined) {
+      id = store.strings.length;
+      store.strings.push(value);
+      store.ids.set(value, id);
+    }
+    return id;
+  }
+
+  // Cells are views: { s: store, i: index } with an accessor per field on a shared prototype,
+  // so modes and the app keep reading and writing cell.angle, cell.shape, ...
+  // Other properties a custom mode sets on a cell stay on the view (kept by snapshot / restore).
+  const CELL_PROTO = {};
+  CELL_FIELDS.forEach(([name, kind], k) => {
+    let get, set;
+    if (kind === 'number') {
+      get = function () { return this.s.f[k][this.i]; };
+      set = function (v) { this.s.f[k][this.i] = v; };
+    } else if (kind === 'nullable') {
+      get = function () { const v = this.s.f[k][this.i]; return v !== v ? null : v; };
+      set = function (v) { this.s.f[k][this.i] = v == null ? NaN : v; };
+    } else if (kind === 'flag') {
+      get = function () { return this.s.f[k][this.i] === 1; };
+      set = function (v) { this.s.f[k][this.i] = v ? 1 : 0; };
+    } else {
+      get = function () { const id = this.s.f[k][this.i]; return id < 0 ? null : this.s.strings[id]; };
+      set = function (v) { this.s.f[k][this.i] = v == null ? -1 : intern(this.s, v); };
+    }
+    Object.defineProperty(CELL_PROTO, name, { get, set, enumerable: true });
+  });
+
+  // Field arrays for n cells; the string table is kept across resizes
+  function allocFields(store, n) {
+    store.n = n;
+    store.f = CELL_FIELDS.map(([, kind]) => new FIELD_ARRAYS[kind](n));
+  }
+
+  function createViews(store) {
+    const views = new Array(store.n);
+    for (let i = 0; i < views.length; i++) {
+      const cell = Object.create(CELL_PROTO);
+      cell.s = store;
+      cell.i = i;
+      views[i] = cell;
+    }
+    return views;
+  }
+
+  // Plain copy of a cell (snapshot): every field plus whatever a mode stored on the view
+  function cellToObject(cell) {
+    const out = {};
+    for (let k = 0; k < CELL_FIELDS.length; k++) out[CELL_FIELDS[k][0]] = cell[CELL_FIELDS[k][0]];
+    Object.keys(cell).forEach((key) => { if (key !== 's' && key !== 'i') out[key] = cell[key]; });
+    return out;
+  }
+
+  // Back to the base state, by default a square in the rest color (revert timer ran out)
+  function revertCell(cell, rest) {
+    cell.color = cell.baseColor || rest;
+    cell.shape = cell.baseShape || DEFAULT_SHAPE;
+    cell.flipped = false;
+    cell.flippedMaxAngle = null;
+    cell.revertTimer = null;
+    cell.modifiedBy = null;
+    cell.reverting = false;
+    cell.revertSpeedMult = 1;
+    cell.currentIntensity = 0;
+    cell.flutterActive = false;
+    cell.automatonState = 0;
+    cell.wakeTimer = null;
+  }
+
+  function resetCell(cell, rest) {
+    cell.shape = cell.baseShape || DEFAULT_SHAPE;
+    cell.color = cell.baseColor || rest;
+    cell.pendingShape = null;
+    cell.pendingColor = null;
+    cell.angle = cell.baseAngle;
+    cell.targetAngle = cell.baseAngle;
+    cell.zOffset = 0;
+    cell.reaction = 0;
+    cell.flipped = false;
+    cell.flippedMaxAngle = null;
+    cell.currentIntensity = 0;
+    cell.flutterActive = false;
+    cell.revertTimer = null;
+    cell.modifiedBy = null;
+    cell.reverting = false;
+    cell.revertSpeedMult = 1;
+    cell.morphTimer = 0;
+    cell.pinned = false;
+    cell.pinAngle = 0;
+    cell.revealed = false;
+    cell.automatonState = 0;
+    cell.wakeTimer = null;
+  }
+
+  const PAINT_OWNER = 'paint'; // modifiedBy of painted cells
+
+  // Tile colors { rest, modes } with invalid entries dropped; null gives white tiles, no mode colors
+  function normalizeTheme(value) {
+    const modes = {};
+    if (value && value.modes && typeof value.modes === 'object') {
+      Object.keys(value.modes).forEach((name) => {
+        const list = Array.isArray(value.modes[name]) ? value.modes[name].filter((c) => HEX_COLOR.test(c)) : [];
+        if (list.length) modes[name] = list;
+      });
+    }
+    return { rest: value && HEX_COLOR.test(value.rest) ? value.rest : DEFAULT_COLOR, modes };
+  }
+
+  // A transition as { pattern, duration, easing }, or null for none (the modes' random dissolve).
+  // Takes an object or a string "pattern [duration] [easing]" (e.g. "spiral 2 ease-out", the
+  // ?transition= form); an unknown pattern gives null, a missing or invalid duration (seconds)
+  // or easing the defaults.
+  function normalizeTransition(value) {
+    let t = value;
+    if (typeof value === 'string') {
+      const words = value.trim().split(/[\s,]+/);
+      t = { pattern: words[0] };
+      words.slice(1).forEach((word) => {
+        if (isFinite(parseFloat(word))) t.duration = parseFloat(word);
+        else t.easing = word;
+      });
+    }
+    if (!t || TRANSITION_PATTERNS.indexOf(t.pattern) < 0) return null;
+    const duration = Number(t.duration);
+    return {
+      pattern: t.pattern,
+      duration: t.duration != null && isFinite(duration)
+        ? Math.max(0, Math.min(MAX_TRANSITION_DURATION, duration))
+        : TRANSITION_DEFAULTS.duration,
+      easing: Object.prototype.hasOwnProperty.call(TRANSITION_EASINGS, t.easing) ? t.easing : TRANSITION_DEFAULTS.easing
+    };
+  }
+
+  // Where cell (c, r) comes in a transition pattern: any scale, smaller comes first.
+  // origin: { col, row } radial and spiral patterns start from
+  function patternPosition(pattern, c, r, origin, cols, rows, random) {
+    const dc = c - origin.col;
+    const dr = r - origin.row;
+    switch (pattern) {
+      case 'sweep': return c;
+      case 'diagonal': return c + r;
+      case 'radial': return Math.hypot(dc, dr);
+      case 'spiral': {
+        // Archimedean spiral: the turn it is on, plus the way round that turn
+        const turn = (Math.atan2(dr, dc) / (2 * Math.PI) + 1) % 1;
+        return Math.round(Math.hypot(dc, dr) / SPIRAL_PITCH - turn) + turn;
+      }
+      // one color of the board first, each half running diagonally
+      case 'checkerboard': return ((c + r) % 2) * (cols + rows) + c + r;
+      default: return random();
+    }
+  }
+
+  // Distance of a cell from a wave's origin along its front; Infinity where the front never passes
+  function waveDistance(shape, dc, dr) {
+    if (shape === 'line') return Math.abs(dc);
+    if (shape === 'cross') {
+      if (Math.abs(dr) < 0.5) return Math.abs(dc);
+      if (Math.abs(dc) < 0.5) return Math.abs(dr);
+      return Infinity;
+    }
+    return Math.hypot(dc, dr);
+  }
+
+  // Signed height of a wave at a cell: a crest right behind the front, a trough behind that
+  function waveHeight(wave, c, r) {
+    const x = (wave.radius - waveDistance(wave.shape, c - wave.col, r - wave.row)) / wave.width;
+    if (!(x > 0 && x < 2)) return 0;
+    return wave.amp * Math.sin(Math.PI * x);
+  }
+
+  // options: { cols, rows, mode, seed, palette, theme, transition, onEvent }
+  // palette: hex colors that replace every mode's colors for this grid (see setPalette)
+  // theme: tile colors { rest, modes } (see setTheme)
+  // transition: default of setMode and reset (see normalizeTransition)
+  // onEvent(type, detail) hears 'modechange' { mode, previous }, 'reset',
+  // 'cellflip' and 'cellrevert' { index, row, col, shape, color, mode }
+  function createSimulation(options) {
+    const opts = options || {};
+    const onEvent = typeof opts.onEvent === 'function' ? opts.onEvent : null;
+    let COLS = clampDim(opts.cols, DEFAULT_COLS);
+    let ROWS = clampDim(opts.rows, DEFAULT_ROWS);
+    let MODE = MODES[opts.mode] ? opts.mode : MODE_ORDER[0];
+    let seed = hashSeed(opts.seed);
+    const random = createRandom(seed);
+    const store = { n: 0, f: [], strings: [], ids: new Map() };
+    let cells = [];
+    let ATTENUATION_DEGS = [];
+    let HORIZ_RADIUS = 0;
+
+    // active point tracking: id -> { col, row, seed }
+    let activationSeed = 0; // increments whenever a point enters a new cell to mark new activations
+    let points = new Map();
+    let time = 0; // seconds accumulator for flutter
+    let pulses = []; // { col, row, radius, speed, width, strength, seed }
+    let waves = []; // { col, row, radius, speed, width, strength, damping, shape, amp }
+    let audio = null; // per-column levels 0..1
+    let palette = null; // per-grid colors instead of the modes' (mode parameters are shared)
+    let theme = { rest: DEFAULT_COLOR, modes: {} }; // per-grid tile colors (see setTheme)
+    let reducedMotion = false;
+    let transition = null;  // default for setMode / reset (normalizeTransition), null = random dissolve
+    let callTransition;     // passed to the setMode / reset call in progress; undefined = the default
+
+    // Function to get current mode config
+    function cfg() {
+      return MODES[MODE];
+    }
+
+    // Build attenuation degs based on mode
+    function buildAttenuationDegs() {
+      const config = cfg();
+      const out = [];
+      let d = config.startDeg;
+      while (out.length < COLS && d >= config.minDeg) {
+        out.push(Math.max(0, Math.round(d)));
+        d *= config.decay;
+      }
+      if (out.length === 0) out.push(config.startDeg);
+      return out;
+    }
+
+    function refreshAttenuation() {
+      ATTENUATION_DEGS = buildAttenuationDegs();
+      HORIZ_RADIUS = ATTENUATION_DEGS.length - 1;
+    }
+
+    function allocCells() {
+      allocFields(store, COLS * ROWS);
+      cells = createViews(store);
+    }
+
+    function initCells() {
+      allocCells();
+      for (let i = 0; i < cells.length; i++) {
+        Object.assign(cells[i], createCell(random));
+        cells[i].color = theme.rest;
+      }
+    }
+
+    // Restart the PRNG and rebuild the cells, so the same seed gives the same run
+    function setSeed(value) {
+      seed = hashSeed(value);
+      random.setState(seed);
+      initCells();
+      points = new Map();
+      time = 0;
+    }
+
+    function randShape() {
+      const weights = cfg().shapeWeights;
+      const shapes = Object.keys(weights);
+      const r = random();
+      // cumulative weights in key order, the last shape takes the remainder
+      let cum = 0;
+      for (let i = 0; i < shapes.length - 1; i++) {
+        cum += weights[shapes[i]];
+        if (r < cum) return shapes[i];
+      }
+      return shapes[shapes.length - 1] || 'square';
+    }
+
+    // The current mode's colors on this grid: the palette, else the theme's, else its own
+    function colors() {
+      return palette || theme.modes[MODE] || cfg().colors;
+    }
+
+    function randColor() {
+      const list = colors();
+      return list[Math.floor(random() * list.length)];
+    }
+
+    // Fisher-Yates on the seeded PRNG (sort() with a random comparator is engine dependent)
+    function shuffle(arr) {
+      for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tmp;
+      }
+      return arr;
+    }
+
+    function activeTransition() {
+      return callTransition !== undefined ? callTransition : transition;
+    }
+
+    // Radial and spiral transitions start under the (first) pointer, else in the middle
+    function transitionOrigin() {
+      const first = points.values().next().value;
+      return first ? { col: first.col, row: first.row } : { col: (COLS - 1) / 2, row: (ROWS - 1) / 2 };
+    }
+
+    // Delays (seconds) for the cells at indices in a transition: the first in the pattern
+    // goes right away, the last after its duration
+    function transitionDelays(t, indices) {
+      const origin = transitionOrigin();
+      const pos = indices.map((idx) => patternPosition(t.pattern, idx % COLS, Math.floor(idx / COLS), origin, COLS, ROWS, random));
+      let min = Infinity;
+      let max = -Infinity;
+      pos.forEach((p) => {
+        min = Math.min(min, p);
+        max = Math.max(max, p);
+      });
+      const ease = TRANSITION_EASINGS[t.easing];
+      return pos.map((p) => (max > min ? ease((p - min) / (max - min)) : 0) * t.duration);
+    }
+
+    // Hand each cell a staggered delay: in the order of the transition, if there is one,
+    // else shuffled, with a long tail (random dissolve)
+    function forEachStaggered(indices, staggerOpts, fn) {
+      const t = activeTransition();
+      if (t) {
+        const delays = transitionDelays(t, indices);
+        indices.forEach((idx, k) => fn(cells[idx], Math.max(0.02, staggerOpts.baseDelay + delays[k])));
+        return;
+      }
+      shuffle(indices);
+      for (let k = 0; k < indices.length; k++) {
+        const linear = staggerOpts.baseDelay + k * staggerOpts.stagger;
+        const longTail = Math.pow(random(), 2) * staggerOpts.tail;
+        const spread = (random() - 0.5) * staggerOpts.jitter;
+        fn(cells[indices[k]], Math.max(0.02, linear + spread + longTail));
+      }
+    }
+
+    // Indices of cells last modified by a mode other than `name` (pinned cells excluded)
+    function cellsModifiedByOthers(name) {
+      const out = [];
+      for (let i = 0; i < cells.length; i++) {
+        if (cells[i].modifiedBy && cells[i].modifiedBy !== name && !cells[i].pinned) out.push(i);
+      }
+      return out;
+    }
+
+    // Pin state of a cell: { pinned, shape, color, angle } (angle in radians)
+    function getPin(idx) {
+      const cell = cells[idx];
+      if (!cell) return null;
+      return { pinned: cell.pinned, shape: cell.shape, color: cell.color, angle: cell.pinAngle };
+    }
+
+    // Pin a cell to shape/color/angle, or unpin it (pin null or pinned: false) back to default
+    function setPin(idx, pin) {
+      const cell = cells[idx];
+      if (!cell) return;
+      if (!pin || pin.pinned === false) {
+        if (!cell.pinned) return;
+        const angle = cell.angle;
+        resetCell(cell, theme.rest);
+        cell.angle = angle; // ease back down instead of snapping
+        return;
+      }
+      cell.pinned = true;
+      cell.pinAngle = Math.max(0, Math.min(MAX_ANGLE, pin.angle || 0));
+      cell.shape = pin.shape || cell.shape;
+      cell.color = pin.color || cell.color;
+      cell.pendingShape = null;
+      cell.pendingColor = null;
+      cell.revertTimer = null;
+      cell.reverting = false;
+      cell.modifiedBy = PAINT_OWNER;
+    }
+
+    // Hand pinned cells over to the animated modes: they stay as painted (flipped)
+    // until the modes revert or re-flip them like any other modified cell
+    function releasePins() {
+      for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i];
+        if (!cell.pinned) continue;
+        cell.pinned = false;
+        cell.flipped = cell.pinAngle > 0;
+        cell.flippedMaxAngle = cell.flipped ? cell.pinAngle : null;
+      }
+    }
+
+    // Per-cell base state the grid rests in and reverts to, e.g. an image mosaic.
+    // states: one { shape, color, angle } (angle in radians) per cell, row by row,
+    // or null to go back to white squares. Untouched cells take it on right away,
+    // modified ones when their revert timer runs out.
+    function setBase(states) {
+      for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i];
+        const state = states ? states[i] : null;
+        cell.baseShape = (state && state.shape) || null;
+        cell.baseColor = (state && state.color) || null;
+        cell.baseAngle = state ? Math.max(0, Math.min(MAX_ANGLE, state.angle || 0)) : 0;
+        if (!cell.pinned && !cell.modifiedBy && !cell.pendingShape) revertCell(cell, theme.rest);
+      }
+    }
+
+    // Fraction of cells whose back face has been shown since the last reset (0..1)
+    function revealProgress() {
+      let n = 0;
+      for (let i = 0; i < cells.length; i++) if (cells[i].revealed) n++;
+      return cells.length ? n / cells.length : 0;
+    }
+
+    // Cell is in its base state: no mode (or the brush) has changed it, whatever its color
+    function isAtRest(cell) {
+      return !cell.modifiedBy;
+    }
+
+    // Rebuild cell state for a new grid size
+    function setGridSize(cols, rows) {
+      const newCols = clampDim(cols, COLS);
+      const newRows = clampDim(rows, ROWS);
+      if (newCols === COLS && newRows === ROWS) return false;
+
+      COLS = newCols;
+      ROWS = newRows;
+      refreshAttenuation();
+      initCells();
+
+      // force a fresh activation on the next step
+      points = new Map();
+      pulses = [];
+      waves = [];
+      audio = null;
+      return true;
+    }
+
+    // Tune a mode's parameters (see configureMode); the attenuation follows right away
+    function setModeParams(name, values) {
+      if (!configureMode(name, values)) return false;
+      if (name === MODE) refreshAttenuation();
+      return true;
+    }
+
+    // Default transition of setMode and reset (see normalizeTransition), null for none
+    function setTransition(value) {
+      transition = normalizeTransition(value);
+      return transition ? Object.assign({}, transition) : null;
+    }
+
+    // transitionOpts: this switch's transition instead of the default (null: none)
+    function setMode(newMode, transitionOpts) {
+      const next = MODES[newMode];
+      if (!next) {
+        console.warn('Unknown mode: ' + newMode);
+        return;
+      }
+      const prevMode = MODE;
+      const prev = MODES[prevMode];
+      callTransition = transitionOpts === undefined ? undefined : normalizeTransition(transitionOpts);
+      try {
+        if (prev && prev.exit) prev.exit(sim, newMode);
+
+        MODE = newMode;
+        refreshAttenuation();
+
+        // cells the last mode was still bringing in are its business
+        for (let i = 0; i < cells.length; i++) cells[i].wakeTimer = null;
+        if (next.enter) next.enter(sim, prevMode);
+      } finally {
+        callTransition = undefined;
+      }
+      if (onEvent) onEvent('modechange', { mode: newMode, previous: prevMode });
+    }
+
+    // Back to the base state: all at once, or with a transition (transitionOpts or the default)
+    // the modified cells revert in its order while the others settle right away
+    function reset(transitionOpts) {
+      const t = transitionOpts === undefined ? transition : normalizeTransition(transitionOpts);
+      pulses = [];
+      waves = [];
+      if (!t) {
+        for (let i = 0; i < cells.length; i++) resetCell(cells[i], theme.rest);
+      } else {
+        const modified = [];
+        for (let i = 0; i < cells.length; i++) {
+          const cell = cells[i];
+          if (cell.pinned) {
+            // painted cells go with the others instead of snapping back
+            cell.pinned = false;
+            cell.flipped = cell.pinAngle > 0;
+            cell.flippedMaxAngle = cell.flipped ? cell.pinAngle : null;
+            cell.pinAngle = 0;
+          }
+          if (cell.modifiedBy) {
+            cell.pendingShape = null;
+            cell.pendingColor = null;
+            cell.automatonState = 0;
+            cell.wakeTimer = null;
+            cell.revealed = false;
+            modified.push(i);
+          } else {
+            const angle = cell.angle;
+            resetCell(cell, theme.rest);
+            cell.angle = angle; // ease back down instead of snapping
+          }
+        }
+        const delays = transitionDelays(t, modified);
+        modified.forEach((idx, k) => { cells[idx].revertTimer = Math.max(0.02, delays[k]); });
+      }
+      if (onEvent) onEvent('reset', {});
+    }
+
+    function cellEvent(type, idx) {
+      const cell = cells[idx];
+      onEvent(type, {
+        index: idx,
+        row: Math.floor(idx / COLS),
+        col: idx % COLS,
+        shape: cell.shape,
+        color: cell.color,
+        mode: MODE
+      });
+    }
+
+    // Flip wave: a ring expanding from (col, row) that lifts the cells it passes
+    // and activates them like a pointer would. opts: { col, row, speed, width, strength };
+    // without col / row it starts from a random cell (seeded, so runs stay reproducible)
+    function addPulse(opts) {
+      const o = Object.assign({}, PULSE_DEFAULTS, opts);
+      const col = o.col != null ? Number(o.col) || 0 : Math.floor(random() * COLS);
+      const row = o.row != null ? Number(o.row) || 0 : Math.floor(random() * ROWS);
+      pulses.push({
+        col,
+        row,
+        radius: 0,
+        speed: o.speed,
+        width: Math.max(0.1, o.width),
+        strength: Math.max(0, Math.min(1, o.strength)),
+        seed: ++activationSeed
+      });
+    }
+
+    // Ripple from a flipped cell, shaped by the current mode's wave parameters
+    function addWave(col, row, mode) {
+      if (waves.length >= MAX_WAVES) waves.shift();
+      waves.push({
+        col,
+        row,
+        radius: 0,
+        speed: mode.waveSpeed,
+        width: mode.waveWidth,
+        strength: mode.waveStrength,
+        damping: mode.waveDamping,
+        shape: mode.waveShape,
+        amp: mode.waveStrength
+      });
+    }
+
+    // How far a wave can travel before its trough has left the grid
+    function waveReach(wave) {
+      if (wave.shape === 'line') return COLS + 2 * wave.width;
+      if (wave.shape === 'cross') return Math.max(COLS, ROWS) + 2 * wave.width;
+      return Math.hypot(COLS, ROWS) + 2 * wave.width;
+    }
+
+    // Audio drive: one level (0..1) per column, resampled if the count differs; null switches it off
+    function setAudio(levels) {
+      audio = levels ? Float32Array.from(levels, (v) => Math.max(0, Math.min(1, v))) : null;
+    }
+
+    // Colors for this grid only, or null to use the modes' own; invalid entries are dropped
+    function setPalette(colors) {
+      const list = Array.isArray(colors) ? colors.filter((c) => HEX_COLOR.test(c)) : [];
+      palette = list.length ? list : null;
+      return palette ? palette.slice() : null;
+    }
+
+    // Tile colors for this grid (a theme's, themes.js): rest, the color tiles show at rest and
+    // revert to (a base state's colors go first), and modes, color lists per mode name instead of
+    // the modes' own. null goes back to white tiles and the modes' colors. Untouched cells take
+    // the rest color right away, modified ones when they revert.
+    function setTheme(value) {
+      theme = normalizeTheme(value);
+      for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i];
+        if (isAtRest(cell) && !cell.pendingShape) cell.color = cell.baseColor || theme.rest;
+      }
+      return { rest: theme.rest, modes: Object.assign({}, theme.modes) };
+    }
+
+    // Everything but the cells, shared by snapshot and exportState
+    function stateHeader(withParams) {
+      return {
+        cols: COLS,
+        rows: ROWS,
+        mode: MODE,
+        seed,
+        rngState: random.getState(),
+        time,
+        activationSeed,
+        points: Array.from(points, ([id, p]) => [id, p.col, p.row, p.seed]),
+        pulses: pulses.map((p) => [p.col, p.row, p.radius, p.speed, p.width, p.strength, p.seed]),
+        waves: waves.map((w) => [w.col, w.row, w.radius, w.speed, w.width, w.strength, w.damping, w.shape]),
+        audio: audio ? Array.from(audio) : null,
+        palette: palette ? palette.slice() : null,
+        theme,
+        reducedMotion,
+        transition,
+        params: withParams ? MODE_ORDER.reduce((out, name) => { out[name] = getModeParams(name); return out; }, {}) : null
+      };
+    }
+
+    function restoreHeader(state) {
+      COLS = clampDim(state.cols, COLS);
+      ROWS = clampDim(state.rows, ROWS);
+      if (MODES[state.mode]) MODE = state.mode;
+      // a recording made with other tunings replays with them
+      if (state.params) Object.keys(state.params).forEach((name) => configureMode(name, state.params[name]));
+      refreshAttenuation();
+      seed = state.seed >>> 0;
+      random.setState(state.rngState);
+      time = state.time || 0;
+      activationSeed = state.activationSeed || 0;
+      points = new Map((state.points || []).map((p) => [p[0], { col: p[1], row: p[2], seed: p[3] }]));
+      pulses = (state.pulses || []).map((p) => ({
+        col: p[0], row: p[1], radius: p[2], speed: p[3], width: p[4], strength: p[5], seed: p[6]
+      }));
+      waves = (state.waves || []).map((w) => ({
+        col: w[0], row: w[1], radius: w[2], speed: w[3], width: w[4], strength: w[5], damping: w[6], shape: w[7],
+        amp: w[5] * Math.exp(-w[6] * w[2])
+      }));
+      setAudio(state.audio);
+      setPalette(state.palette);
+      theme = normalizeTheme(state.theme);
+      reducedMotion = !!state.reducedMotion;
+      transition = normalizeTransition(state.transition);
+    }
+
+    // Reduced motion: flutter off and flips eased at REDUCED_FLIP_SPEED, whatever the mode says
+    function setReducedMotion(on) {
+      reducedMotion = !!on;
+    }
+
+    // Full copy of the simulation state (plain JSON), including the PRNG position
+    function snapshot() {
+      const state = stateHeader(true);
+      state.cells = cells.map(cellToObject);
+      return state;
+    }
+
+    function restore(state) {
+      restoreHeader(state);
+      allocCells();
+      state.cells.forEach((cell, i) => Object.assign(cells[i], createCell(random), cell));
+      random.setState(state.rngState);
+    }
+
+    // The state as cell buffers instead of cell objects, for another thread (simworker.js).
+    // options: copy (slice the buffers, so they can be transferred while this side keeps its own),
+    // params (include the mode parameters), strings (how many table entries the receiver
+    // already has: only the rest is sent). Views' extra properties are not included.
+    function exportState(options) {
+      const o = options || {};
+      const from = Math.min(o.strings || 0, store.strings.length);
+      const state = stateHeader(!!o.params);
+      state.fields = store.f.map((arr) => (o.copy ? arr.slice() : arr));
+      state.stringsFrom = from;
+      state.strings = store.strings.slice(from);
+      return state;
+    }
+
+    // Adopt exportState output (the buffers are taken over, not copied). The string table
+    // is cut back to stringsFrom and continued from the sender's.
+    function importState(state) {
+      restoreHeader(state);
+      const table = store.strings;
+      for (let id = state.stringsFrom; id < table.length; id++) store.ids.delete(table[id]);
+      table.length = state.stringsFrom;
+      state.strings.forEach((value) => intern(store, value));
+      if (store.n !== COLS * ROWS || cells.length !== store.n) {
+        allocFields(store, COLS * ROWS);
+        cells = createViews(store);
+      }
+      store.f = state.fields.slice();
+    }
+
+    // Track the active points; a point entering a new cell gets a fresh activation seed
+    function updatePoints(active) {
+      const list = Array.isArray(active) ? active : (active ? [active] : []);
+      const next = new Map();
+      for (let i = 0; i < list.length; i++) {
+        const a = list[i];
+        if (!a || !(a.col >= 0 && a.col < COLS && a.row >= 0 && a.row < ROWS)) continue;
+        const id = a.id != null ? a.id : i;
+        const prev = points.get(id);
+        const seed = (prev && prev.col === a.col && prev.row === a.row) ? prev.seed : ++activationSeed;
+        next.set(id, { col: a.col, row: a.row, seed });
+      }
+      points = next;
+      return Array.from(next.values());
+    }
+
+    // Advance the simulation by `delta` seconds.
+    // active: { col, row } of the cell under the pointer, an array of
+    // { id, col, row } for several pointers (multi-touch), or null
+    function step(delta, active) {
+      const pts = updatePoints(active);
+
+      time += delta;
+
+      const mode = cfg();
+      const motion = reducedMotion ? REDUCED_FLIP_SPEED : 1;
+      const windowSize = 5;
+      const half = Math.floor(windowSize / 2);
+      const mainDeg = ATTENUATION_DEGS[0];
+
+      // grow the pulses, drop the ones that left the grid
+      const reach = Math.hypot(COLS, ROWS);
+      pulses = pulses.filter((p) => {
+        p.radius += p.speed * delta;
+        return p.radius - p.width < reach;
+      });
+      waves = waves.filter((w) => {
+        w.radius += w.speed * delta;
+        w.amp = w.strength * Math.exp(-w.damping * w.radius);
+        return w.amp >= MIN_WAVE_AMP && w.radius < waveReach(w);
+      });
+
+      if (mode.update) mode.update(sim, delta);
+
+      for (let r = 0; r < ROWS; r++) {
+        for (let c = 0; c < COLS; c++) {
+          const idx = r * COLS + c;
+          const cell = cells[idx];
+
+          // Combine all points: intensities blend like light (1 - prod(1 - i)),
+          // the nearest column decides the local flip angle, any point can activate.
+          let keep = 1;
+          let horizDist = 999;
+          let inMainColumn = false;  // some point's column, within its vertical window
+          let inNearWindow = false;  // within some point's vertical window and horizontal reach
+          let hoverSeed = -1;        // seed of a point hitting this cell's main row/column
+          for (let k = 0; k < pts.length; k++) {
+            const p = pts[k];
+            const vdist = Math.abs(r - p.row);
+            const hdist = Math.abs(c - p.col);
+            const inVertical = vdist <= half;
+            const inHorizNear = hdist <= HORIZ_RADIUS;
+            if (hdist < horizDist) horizDist = hdist;
+
+            if (inVertical && inHorizNear) {
+              const vFactor = Math.max(0, 1 - (vdist / (half + 1)));
+              const hFactor = (mainDeg > 0) ? (ATTENUATION_DEGS[hdist] / mainDeg) : 0;
+              keep *= 1 - Math.pow(vFactor * hFactor, 0.9);
+              inNearWindow = true;
+              if (hdist === 0) inMainColumn = true;
+            }
+
+            // main activation: point sits on this cell's column or row
+            const hits = (hdist === 0 && inVertical) || (vdist === 0 && inHorizNear);
+            if (hits && (hoverSeed < 0 || hoverSeed === cell.lastActivationSeed)) hoverSeed = p.seed;
+          }
+
+          // pulses: the ring front acts like a pointer's main column
+          for (let k = 0; k < pulses.length; k++) {
+            const p = pulses[k];
+            const ring = 1 - Math.abs(Math.hypot(c - p.col, r - p.row) - p.radius) / p.width;
+            if (ring <= 0) continue;
+            keep *= 1 - ring * p.strength;
+            inNearWindow = true;
+            horizDist = 0;
+            if (ring > 0.5 && (hoverSeed < 0 || hoverSeed === cell.lastActivationSeed)) hoverSeed = p.seed;
+          }
+
+          // waves: their heights add up, so crests meeting crests lift higher and
+          // a crest meeting a trough cancels out; only what stays positive lifts the cell
+          if (waves.length) {
+            let height = 0;
+            for (let k = 0; k < waves.length; k++) height += waveHeight(waves[k], c, r);
+            if (height > 0) {
+              keep *= 1 - Math.min(1, height);
+              inNearWindow = true;
+              horizDist = 0;
+            }
+          }
+
+          // audio: the column's level is a bar rising from the bottom row (soft top edge)
+          let level = 0;
+          if (audio) {
+            level = audio[Math.floor(c * audio.length / COLS)];
+            const bar = Math.max(0, Math.min(1, level * ROWS - (ROWS - 1 - r)));
+            if (bar > 0) {
+              keep *= 1 - bar * level;
+              inNearWindow = true;
+              horizDist = 0;
+            }
+          }
+          const intensity = 1 - keep;
+          const hovered = hoverSeed >= 0;
+
+          if (cell.pinned) {
+            cell.currentIntensity = 0;
+            cell.flutterActive = false;
+            cell.reaction = 0;
+            cell.targetAngle = cell.pinAngle;
+            cell.angle += (cell.targetAngle - cell.angle) * Math.min(1, mode.flipSpeed * motion * delta);
+            cell.zOffset = Math.sin(cell.angle) * mode.zMult;
+            if (cell.angle > REVEAL_ANGLE) cell.revealed = true;
+            continue;
+          }
+
+          cell.currentIntensity = intensity;
+          cell.flutterActive = intensity > 0.001;
+
+          if (mode.flutter) {
+            cell.flutterAmpDeg = cell.baseFlutterAmpDeg;
+            cell.flutterFreq = cell.baseFlutterFreq;
+          } else {
+            cell.flutterActive = false;
+            cell.flutterAmpDeg = 0;
+            cell.flutterFreq = 0;
+          }
+          if (level > 0 && mode.flutter) {
+            cell.flutterActive = true;
+            cell.flutterAmpDeg = cell.baseFlutterAmpDeg + level * mode.maxFlutterAmpDeg * AUDIO_FLUTTER;
+            cell.flutterFreq = cell.baseFlutterFreq * (1 + level);
+          }
+
+          const localMaxDeg = mode.autonomous ? mainDeg : ((horizDist <= HORIZ_RADIUS) ? ATTENUATION_DEGS[horizDist] : 0);
+          const localMax = localMaxDeg * Math.PI / 180;
+
+          // unflipped cells rest at their base angle (0 without a base state)
+          const rest = cell.baseAngle;
+          const baseTarget = cell.flipped ? (cell.flippedMaxAngle || localMax) : rest;
+
+          if (inMainColumn) {
+            if (!cell.flipped) {
+              cell.targetAngle = rest + intensity * localMax;
+            } else {
+              cell.targetAngle = (cell.flippedMaxAngle || localMax) * (1 - intensity);
+            }
+          } else if (inNearWindow) {
+            cell.targetAngle = rest + intensity * localMax;
+          } else {
+            cell.targetAngle = baseTarget;
+          }
+
+          // per-cell mode behavior (posture, flutter overrides, morphing)
+          if (mode.tick) mode.tick(cell, sim, { delta, hovered, intensity, row: r, col: c });
+          if (reducedMotion) cell.flutterActive = false;
+
+          if (!cell.flipped && hovered && cell.lastActivationSeed !== hoverSeed) {
+            // record seed for general activation tracking
+            cell.lastActivationSeed = hoverSeed;
+            if (mode.activate) mode.activate(cell, sim);
+          }
+
+          // tick down cooldown
+          cell.cooldown = Math.max(0, (cell.cooldown || 0) - delta);
+
+          // tick down wake timer: when it hits zero, the mode brings the cell in
+          if (cell.wakeTimer != null) {
+            cell.wakeTimer = Math.max(0, cell.wakeTimer - delta);
+            if (cell.wakeTimer <= 0) {
+              cell.wakeTimer = null;
+              if (mode.wake) mode.wake(cell, sim);
+            }
+          }
+
+          // tick down revert timer: when it hits zero, the modifying mode reverts the cell
+          if (cell.revertTimer != null) {
+            cell.revertTimer = Math.max(0, cell.revertTimer - delta);
+            if (cell.revertTimer <= 0) {
+              const owner = MODES[cell.modifiedBy];
+              if (owner && owner.revert) owner.revert(cell, sim);
+              else revertCell(cell, theme.rest);
+              if (onEvent) cellEvent('cellrevert', idx);
+            }
+          }
+
+          const speedMult = (cell.reverting && cell.revertSpeedMult) ? cell.revertSpeedMult : 1;
+          const ax = mode.flipSpeed * speedMult * motion;
+          const prevAngle = cell.angle;
+          cell.angle += (cell.targetAngle - cell.angle) * Math.min(1, ax * delta);
+
+          const MID_ANGLE = rest + localMax * 0.5;
+          if (cell.pendingShape && prevAngle < MID_ANGLE && cell.angle >= MID_ANGLE) {
+            cell.shape = cell.pendingShape;
+            cell.color = cell.pendingColor || cell.color;
+            cell.pendingShape = null;
+            cell.pendingColor = null;
+            cell.flipped = true;
+            cell.flippedMaxAngle = rest + localMax;
+            // mark which mode created this change
+            cell.modifiedBy = MODE;
+            // e.g. schedule automatic revert back to white square
+            if (mode.flipComplete) mode.flipComplete(cell, sim);
+            if (onEvent) cellEvent('cellflip', idx);
+            if (mode.waveStrength > 0) addWave(c, r, mode);
+
+            const intensityForCell = (cell.targetAngle - rest) / Math.max(1e-6, localMax);
+            for (let dr = -1; dr <= 1; dr++) {
+              for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const nr = r + dr;
+                const nc = c + dc;
+                if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS) continue;
+                const nidx = nr * COLS + nc;
+                const dist = Math.hypot(dr, dc);
+                const amp = (mode.neighborAmp * intensityForCell) / Math.max(0.8, dist);
+                cells[nidx].reaction = Math.max(cells[nidx].reaction || 0, amp);
+              }
+            }
+          }
+
+          if (cell.flipped && prevAngle > (cell.flippedMaxAngle || localMax) * 0.5 && cell.angle <= (cell.flippedMaxAngle || localMax) * 0.5) {
+            cell.flipped = false;
+            cell.flippedMaxAngle = null;
+          }
+
+          cell.targetAngle += (cell.reaction || 0) * localMax;
+          cell.reaction = Math.max(0, (cell.reaction || 0) - mode.reactionDecay * delta);
+
+          cell.targetAngle = Math.max(0, Math.min(Math.min(MAX_ANGLE, (localMax || MAX_ANGLE) + rest), cell.targetAngle));
+
+          // z lift in tile units (tile = 1)
+          cell.zOffset = Math.sin(cell.angle) * mode.zMult;
+          if (cell.angle > REVEAL_ANGLE) cell.revealed = true;
+        }
+      }
+    }
+
+    // The simulation object doubles as the helper api handed to mode hooks
+    const sim = {
+      get cells() { return cells; },
+      get cols() { return COLS; },
+      get rows() { return ROWS; },
+      get mode() { return MODE; },
+      get time() { return time; },
+      get attenuationDegs() { return ATTENUATION_DEGS; },
+      get seed() { return seed; },
+      get palette() { return palette ? palette.slice() : null; },
+      get restColor() { return theme.rest; },
+      get reducedMotion() { return reducedMotion; },
+      // during setMode / reset hooks the transition of that call
+      get transition() {
+        const t = activeTransition();
+        return t ? Object.assign({}, t) : null;
+      },
+      config: cfg,
+      random,
+      shuffle,
+      randShape,
+      randColor,
+      colors,
+      revertCell: (cell) => revertCell(cell, theme.rest),
+      forEachStaggered,
+      cellsModifiedByOthers,
+      getPin,
+      setPin,
+      releasePins,
+      setBase,
+      isAtRest,
+      revealProgress,
+      addPulse,
+      setAudio,
+      setPalette,
+      setTheme,
+      setReducedMotion,
+      setTransition,
+      refreshAttenuation,
+      setGridSize,
+      setMode,
+      setSeed,
+      reset,
+      snapshot,
+      restore,
+      exportState,
+      importState,
+      setModeParams,
+      step
+    };
+
+    setPalette(opts.palette);
+    theme = normalizeTheme(opts.theme);
+    setTransition(opts.transition);
+    refreshAttenuation();
+    initCells();
+    return sim;
+  }
+
+  registerMode('labil', {
+    label: 'Labil',
+    startDeg: 30,
+    decay: 0.6,         // stronger falloff
+    minDeg: 4,
+    maxFlutterAmpDeg: 0.8, // very little flutter
+    minFlutterAmpDeg: 0.3,
+    flutterFreqMin: 0.3,
+    flutterFreqMax: 0.7,
+    colors: ['#888888', '#aaaaaa', '#666666'], // grayscale
+    shapeWeights: { square: 0.40, circle: 0.40, triangle: 0.20 },
+    flutter: false,
+    flipSpeed: 6,        // slower, smoother
+    reactionDecay: 4.0,  // faster decay
+    neighborAmp: 0.3,    // smaller spread
+    zMult: 0.02,
+
+    // slow, staggered revert of everything the other modes left behind
+    enter(sim) {
+      sim.forEachStaggered(sim.cellsModifiedByOthers('labil'),
+        { baseDelay: 0.12, stagger: 0.06, jitter: 0.5, tail: 0.9 },
+        (cell, delay) => {
+          cell.targetAngle = cell.baseAngle;
+          cell.reverting = true;
+          cell.revertSpeedMult = 0.25 + sim.random() * 0.35;
+          cell.flutterActive = false;
+          cell.revertTimer = delay + 0.6 + sim.random() * 0.8;
+        });
+    },
+
+    // require two separate activations (debounce) and respect the cooldown
+    activate(cell, sim) {
+      cell.activationCount++;
+      if (cell.activationCount >= 2 && cell.cooldown <= 0) {
+        cell.pendingShape = sim.randShape();
+        cell.pendingColor = sim.randColor();
+        cell.activationCount = 0;
+        cell.cooldown = 0.6; // 0.6s cooldown to avoid rapid re-flips
+      }
+    },
+
+    // continuous shape morphing while waiting to revert
+    tick(cell, sim, info) {
+      if (cell.revertTimer == null) return;
+      cell.morphTimer -= info.delta;
+      if (cell.morphTimer <= 0) {
+        cell.shape = sim.randShape();
+        cell.color = sim.randColor();
+        cell.morphTimer = 0.4; // shuffle every 400ms (slower)
+      }
+    },
+
+    // shorter, moderately random reverts (short long-tail)
+    flipComplete(cell, sim) {
+      const base = 0.8;
+      const range = 2.2; // uniform part
+      const skew = Math.pow(sim.random(), 2) * 1.0; // small long-tail
+      cell.revertTimer = base + sim.random() * range + skew; // ~0.8s - ~4.0s (skewed)
+    }
+  });
+
+  // A cell Stable flipped earlier comes back to life: full flutter
+  function reviveStable(cell) {
+    cell.flutterActive = true;
+    cell.currentIntensity = 1.0;
+  }
+
+  registerMode('stable', {
+    label: 'Stable',
+    startDeg: 90,       // aggressive flip angle
+    decay: 0.78,         // softer falloff
+    minDeg: 6,
+    maxFlutterAmpDeg: 4.0, // strong flutter
+    minFlutterAmpDeg: 2.0,
+    flutterFreqMin: 0.8,
+    flutterFreqMax: 2.0,
+    colors: ['#0505fb'], // accent color (blue), every flip takes the first
+    shapeWeights: { square: 0.3, circle: 0.3, triangle: 0.4 },
+
+    enter(sim) {
+      // cancel pending reverts of own cells and bring them back to life, in the
+      // transition's order if there is one
+      const own = [];
+      for (let i = 0; i < sim.cells.length; i++) {
+        const cell = sim.cells[i];
+        if (cell.modifiedBy === 'stable') {
+          cell.revertTimer = null;
+          cell.reverting = false;
+          cell.revertSpeedMult = 1;
+          own.push(i);
+        }
+      }
+      if (sim.transition) {
+        sim.forEachStaggered(own, { baseDelay: 0 }, (cell, delay) => { cell.wakeTimer = delay; });
+      } else {
+        own.forEach((i) => reviveStable(sim.cells[i], sim));
+      }
+      sim.forEachStaggered(sim.cellsModifiedByOthers('stable'),
+        { baseDelay: 0.06, stagger: 0.04, jitter: 0.35, tail: 0.6 },
+        (cell, delay) => { cell.revertTimer = delay; });
+    },
+
+    wake: reviveStable,
+
+    activate(cell, sim) {
+      cell.pendingShape = sim.randShape();
+      cell.pendingColor = sim.colors()[0];
+    },
+
+    // all changed forms get same high intensity for flip & flutter,
+    // independent from the active cell, BUT we allow interaction to override
+    tick(cell, sim, info) {
+      // resting cells, and own cells a transition has not brought back in yet (wake)
+      if (sim.isAtRest(cell) || cell.wakeTimer != null) return;
+      const config = sim.config();
+      cell.flutterActive = true;
+      cell.currentIntensity = 1.0;
+      cell.flutterAmpDeg = config.maxFlutterAmpDeg;
+      cell.flutterFreq = cell.baseFlutterFreq;
+      // If the pointer hovers directly over this cell (column/row activation),
+      // give a short reaction pulse so already-blue shapes and their neighbors respond.
+      if (info.hovered) {
+        cell.reaction = Math.max(cell.reaction || 0, 0.8);
+      }
+      const fixedMax = config.startDeg * Math.PI / 180;
+      // Use the greater of: calculated interaction angle OR the base "open" posture (30%)
+      cell.targetAngle = Math.max(cell.targetAngle, 0.3 * fixedMax);
+    }
+  });
+
+  registerMode('reveal', {
+    label: 'Reveal',
+    startDeg: 180,      // turn all the way over, the back face shows
+    decay: 0.55,
+    minDeg: 10,
+    colors: ['#ffffff'],
+    flutter: false,
+    flipSpeed: 5,
+    reactionDecay: 3.0,
+    neighborAmp: 0.2,
+    zMult: 0.06,
+
+    // others' leftovers go back first, so the picture builds up on a clean grid
+    enter(sim) {
+      sim.forEachStaggered(sim.cellsModifiedByOthers('reveal'),
+        { baseDelay: 0.1, stagger: 0.03, jitter: 0.3, tail: 0.5 },
+        (cell, delay) => { cell.revertTimer = delay; });
+    },
+
+    // keep the tile as it is, only turn it over
+    activate(cell) {
+      cell.pendingShape = cell.shape;
+      cell.pendingColor = cell.color;
+    },
+
+    // flipped tiles turn all the way and stay there (no revert timer)
+    flipComplete(cell) {
+      cell.flippedMaxAngle = Math.PI;
+    },
+
+    tick(cell) {
+      if (cell.flipped) cell.targetAngle = cell.flippedMaxAngle;
+    }
+  });
+
+  registerMode('wave', {
+    label: 'Wave',
+    startDeg: 60,
+    decay: 0.7,
+    minDeg: 5,
+    colors: ['#7fd3ff', '#3a8dff', '#1b4dd8'],
+    shapeWeights: { circle: 0.6, square: 0.2, triangle: 0.2 },
+    flutter: false,
+    flipSpeed: 14,       // quick, so the crests stay sharp
+    neighborAmp: 0,      // the ripples carry the influence instead
+    waveStrength: 0.9,
+    waveSpeed: 14,
+    waveDamping: 0.05,   // a touch still reaches across 40 columns
+    waveWidth: 2,
+
+    // others' leftovers go back first, so the ripples run over a calm grid
+    enter(sim) {
+      sim.forEachStaggered(sim.cellsModifiedByOthers('wave'),
+        { baseDelay: 0.08, stagger: 0.03, jitter: 0.3, tail: 0.5 },
+        (cell, delay) => { cell.revertTimer = delay; });
+    },
+
+    // one ripple per touch and cell: the cooldown keeps a resting pointer from flooding the grid
+    activate(cell, sim) {
+      if (cell.cooldown > 0) return;
+      cell.pendingShape = sim.randShape();
+      cell.pendingColor = sim.randColor();
+      cell.cooldown = 1.0;
+    },
+
+    flipComplete(cell, sim) {
+      cell.revertTimer = 1.2 + sim.random() * 1.2;
+    }
+  });
+
+  // Bring a cell to life: it flips over to a new shape and color at MID_ANGLE
+  function bearCell(cell, sim) {
+    cell.automatonState = 1;
+    if (!cell.flipped) {
+      cell.pendingShape = sim.randShape();
+      cell.pendingColor = sim.randColor();
+    }
+  }
+
+  registerMode('automaton', {
+    label: 'Automaton',
+    startDeg: 150,
+    decay: 0.55,
+    minDeg: 10,
+    colors: ['#e5484d', '#f5a623', '#ffffff'],
+    shapeWeights: { square: 0.5, circle: 0.5 },
+    flutter: false,
+    flipSpeed: 16,
+    neighborAmp: 0,
+    autonomous: true,
+    seedDensity: 0.25, // share of cells alive when the mode starts
+
+    // others' leftovers go back, then a random soup gets the automaton going
+    // (with a transition, its cells come alive in the transition's order)
+    enter(sim) {
+      sim.forEachStaggered(sim.cellsModifiedByOthers('automaton'),
+        { baseDelay: 0.05, stagger: 0.02, jitter: 0.2, tail: 0.3 },
+        (cell, delay) => { cell.revertTimer = delay; });
+      const density = sim.config().seedDensity;
+      const soup = [];
+      for (let i = 0; i < sim.cells.length; i++) {
+        const cell = sim.cells[i];
+        if (!cell.pinned && !cell.modifiedBy && sim.random() < density) soup.push(i);
+      }
+      if (sim.transition) {
+        sim.forEachStaggered(soup, { baseDelay: 0 }, (cell, delay) => { cell.wakeTimer = delay; });
+      } else {
+        soup.forEach((i) => bearCell(sim.cells[i], sim));
+      }
+    },
+
+    wake(cell, sim) {
+      bearCell(cell, sim);
+    },
+
+    // the other modes don't know the automaton states: leave dead cells behind
+    exit(sim) {
+      for (let i = 0; i < sim.cells.length; i++) {
+        const cell = sim.cells[i];
+        cell.automatonState = 0;
+        if (!cell.flipped) {
+          cell.pendingShape = null;
+          cell.pendingColor = null;
+        }
+      }
+    },
+
+    // one generation each 1/automatonRate seconds, on a torus (the edges wrap around)
+    update(sim, delta) {
+      const config = sim.config();
+      const rate = config.automatonRate;
+      if (Math.floor(sim.time * rate) === Math.floor((sim.time - delta) * rate)) return;
+      const rule = parseRule(config.automatonRule) || parseRule('life');
+      const cells = sim.cells;
+      const cols = sim.cols;
+      const rows = sim.rows;
+      const next = new Uint8Array(cells.length);
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          const idx = r * cols + c;
+          const state = cells[idx].automatonState;
+          if (cells[idx].pinned) continue;
+          if (state > 1) {
+            next[idx] = state + 1 < rule.states ? state + 1 : 0;
+            continue;
+          }
+          let n = 0;
+          for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+              if (dr === 0 && dc === 0) continue;
+              const nidx = ((r + dr + rows) % rows) * cols + (c + dc + cols) % cols;
+              if (cells[nidx].automatonState === 1 && !cells[nidx].pinned) n++;
+            }
+          }
+          if (state === 0) next[idx] = rule.birth[n] ? 1 : 0;
+          else next[idx] = rule.survive[n] ? 1 : (rule.states > 2 ? 2 : 0);
+        }
+      }
+      for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i];
+        if (cell.pinned || next[i] === cell.automatonState) continue;
+        if (next[i] === 1) bearCell(cell, sim);
+        else cell.automatonState = next[i];
+      }
+    },
+
+    // pointers seed live cells where they activate (about every other one, a cross-shaped soup)
+    activate(cell, sim) {
+      if (cell.automatonState === 0 && sim.random() < 0.6) bearCell(cell, sim);
+    },
+
+    // alive: turned over; dying: half way back; dead: down, and back to the base look once below
+    // MID_ANGLE (or when its revert timer, e.g. from a reset, runs out)
+    tick(cell, sim) {
+      const lift = sim.config().startDeg * Math.PI / 180;
+      if (cell.automatonState === 1) {
+        cell.targetAngle = cell.baseAngle + lift;
+      } else if (cell.automatonState > 1) {
+        cell.targetAngle = cell.baseAngle + lift * 0.6;
+      } else if (cell.modifiedBy === 'automaton' && cell.revertTimer == null) {
+        cell.pendingShape = null;
+        cell.pendingColor = null;
+        if (cell.flipped) cell.targetAngle = cell.baseAngle;
+        else sim.revertCell(cell);
+      }
+    }
+  });
+
+  return {
+    DEFAULT_COLS,
+    DEFAULT_ROWS,
+    MAX_GRID_DIM,
+    REDUCED_FLIP_SPEED,
+    CELL_FIELDS,
+    MODES,
+    MODE_ORDER,
+    MODE_DEFAULTS,
+    PAINT_OWNER,
+    MODE_PARAMS,
+    WAVE_SHAPES,
+    AUTOMATON_RULES,
+    TRANSITION_PATTERNS,
+    TRANSITION_EASINGS,
+    registerMode,
+    parseRule,
+    normalizeTransition,
+    getModeParams,
+    configureMode,
+    clampDim,
+    createRandom,
+    createSimulation
+  };
+});
@@ -0,0 +1,173 @@
+/* Steps the simulation in a Web Worker, so pointer handling and drawing never wait for it
+   - the page keeps its sim (sim.js) as a replica: everything reads it (drawing, getCell, editor,
+     recorder), state-changing calls apply to it right away and are forwarded, steps only run here
+   - per frame the page sends the queued calls and steps (pointer input travels as the steps'
+     active cells); the worker answers with the cell buffers, transferred, which the replica
+     adopts before re-applying the calls the worker has not seen yet
+   - whatever moves the replica on its own (replay, export, restore, snapshot for a recording)
+     reloads the worker from it on the next step, so runs and recordings stay frame-exact
+   - modes registered at runtime carry functions a worker cannot receive: disable() goes back
+     to stepping on the main thread, as happens where workers are unavailable (file://, Node)
+   - this file is both sides: the client (global RasterSimWorker) and, started by it, the worker
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterSimWorker = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Calls that change the state: applied to the replica and forwarded
+  const COMMANDS = ['setMode', 'reset', 'setGridSize', 'setSeed', 'setPin', 'releasePins', 'setModeParams',
+    'setBase', 'addPulse', 'setAudio', 'setPalette', 'setTheme', 'setReducedMotion', 'setTransition',
+    'refreshAttenuation'];
+  // Calls after which the worker has to be reloaded from the replica
+  const SYNC_POINTS = ['step', 'restore', 'snapshot'];
+
+  // this script's own url, to start the worker from (only known while the page runs it)
+  const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+  function transferList(state) {
+    return state.fields.map((arr) => arr.buffer);
+  }
+
+  // Worker side: one simulation, fed batches of [name, args] calls
+  function serve(scope) {
+    scope.importScripts('sim.js');
+    let events = [];
+    let sent = 0; // string table entries the page already has
+    const sim = scope.RasterSim.createSimulation({ onEvent: (type, detail) => events.push([type, detail]) });
+
+    scope.onmessage = (e) => {
+      const msg = e.data;
+      try {
+        if (msg.load) {
+          sim.importState(msg.load);
+          sent = msg.load.stringsFrom + msg.load.strings.length;
+        }
+        msg.calls.forEach(([name, args]) => sim[name].apply(null, args));
+      } catch (err) {
+        scope.postMessage({ generation: msg.generation, error: err.message });
+        return;
+      }
+      const state = sim.exportState({ copy: true, strings: sent });
+      sent = state.stringsFrom + state.strings.length;
+      const out = events;
+      events = [];
+      scope.postMessage({ generation: msg.generation, state, events: out }, transferList(state));
+    };
+  }
+
+  // Page side. options: url (of this script), onEvent(type, detail) for the worker's sim events,
+  // Worker (constructor, defaults to the global one). Returns null where workers are unavailable.
+  function createClient(sim, options) {
+    const opts = options || {};
+    const Thread = opts.Worker || (typeof Worker !== 'undefined' ? Worker : null);
+    const url = opts.url || SCRIPT_URL;
+    if (!Thread || !url) return null;
+
+    let worker;
+    try {
+      worker = new Thread(url);
+    } catch (err) {
+      console.warn('Simulation worker unavailable, stepping on the main thread', err);
+      return null;
+    }
+
+    let live = false;    // the worker is ahead of the replica and owns the events
+    let generation = 0;  // bumped on every reload, older answers are dropped
+    let pending = false; // a batch of the current generation is out
+    let calls = [];      // not sent yet
+    const direct = {};   // the replica's own methods
+
+    COMMANDS.forEach((name) => {
+      const fn = sim[name];
+      direct[name] = fn;
+      sim[name] = function () {
+        const args = Array.prototype.slice.call(arguments);
+        if (live) calls.push([name, args]);
+        return fn.apply(null, args);
+      };
+    });
+    SYNC_POINTS.forEach((name) => {
+      const fn = sim[name];
+      sim[name] = function () {
+        unload();
+        return fn.apply(null, arguments);
+      };
+    });
+
+    // the replica goes its own way: answers still out are for a state it left
+    function unload() {
+      live = false;
+      pending = false;
+      generation++;
+    }
+
+    function post(load) {
+      const msg = { generation, load, calls };
+      calls = [];
+      pending = true;
+      worker.postMessage(msg, load ? transferList(load) : []);
+    }
+
+    function fail(reason) {
+      console.warn('Simulation worker stopped, stepping on the main thread:', reason);
+      disable();
+    }
+
+    worker.onmessage = (e) => {
+      const reply = e.data;
+      if (!worker || reply.generation !== generation) return;
+      pending = false;
+      if (reply.error) return fail(reply.error);
+      sim.importState(reply.state);
+      // the replica is now where the worker is; calls made since then go on top again
+      calls.forEach(([name, args]) => { if (name !== 'step') direct[name].apply(null, args); });
+      reply.events.forEach(([type, detail]) => { if (opts.onEvent) opts.onEvent(type, detail); });
+      if (calls.length) post(null);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      fail(e.message || 'worker error');
+    };
+
+    // Queue a frame for the worker. false: no worker, the caller steps the replica itself.
+    function step(delta, active) {
+      if (!worker) return false;
+      if (!live) {
+        // (re)load from the replica, calls made before this are already part of it
+        calls = [['step', [delta, active]]];
+        live = true;
+        post(sim.exportState({ copy: true, params: true }));
+        return true;
+      }
+      calls.push(['step', [delta, active]]);
+      if (!pending) post(null);
+      return true;
+    }
+
+    function disable() {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      unload();
+      calls = [];
+    }
+
+    return {
+      get live() { return live; },
+      step,
+      disable
+    };
+  }
+
+  if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) serve(self);
+
+  return {
+    COMMANDS,
+    createClient
+  };
+});
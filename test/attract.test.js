@@ -0,0 +1,101 @@
+/* Attract / idle mode (attract.js): when the virtual pointer takes over, where it goes, the mode schedule
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterAttract = require('../attract.js');
+const RasterSim = require('../sim.js');
+
+const COLS = 20;
+const ROWS = 12;
+
+function create(options) {
+  return RasterAttract.createAttract(Object.assign({ random: RasterSim.createRandom(11) }, options));
+}
+
+// Every point the attract mode gives over `seconds`, at 60 fps
+function run(attract, seconds) {
+  const out = [];
+  for (let f = 0; f < seconds * 60; f++) out.push(attract.update(1 / 60, COLS, ROWS));
+  return out;
+}
+
+test('the virtual pointer takes over after the timeout and hands back on input', () => {
+  const attract = create({ timeout: 2 });
+  const first = run(attract, 3);
+  assert.ok(first.slice(0, 119).every((points) => points === null));
+  assert.strictEqual(attract.active, true);
+  assert.deepStrictEqual(first[first.length - 1].map((p) => p.id), ['attract']);
+
+  attract.input();
+  assert.strictEqual(attract.active, false);
+  assert.strictEqual(attract.update(1 / 60, COLS, ROWS), null);
+  attract.start();
+  assert.strictEqual(attract.update(1 / 60, COLS, ROWS).length, 1);
+});
+
+test('a timeout of 0 never starts by itself', () => {
+  const attract = create({ timeout: 0 });
+  assert.ok(run(attract, 5).every((points) => points === null));
+});
+
+test('every path stays on the grid and keeps moving', () => {
+  Object.keys(RasterAttract.PATHS).forEach((path) => {
+    const attract = create({ path });
+    attract.start();
+    const cells = new Set();
+    run(attract, 20).forEach((points) => {
+      assert.strictEqual(points.length, 1, path);
+      const { col, row } = points[0];
+      assert.ok(col >= 0 && col < COLS && row >= 0 && row < ROWS, path + ' ' + col + ',' + row);
+      cells.add(col + ',' + row);
+    });
+    assert.ok(cells.size > 20, path);
+  });
+});
+
+test('scan runs along the rows, turning at each end', () => {
+  const attract = create({ path: 'scan', speed: 30 });
+  attract.start();
+  const visits = run(attract, 1).map((points) => points[0]);
+  const firstRow = visits.filter((p) => p.row === 0).map((p) => p.col);
+  const secondRow = visits.filter((p) => p.row === 1).map((p) => p.col);
+  assert.ok(firstRow.every((col, k) => k === 0 || col >= firstRow[k - 1]));
+  assert.ok(secondRow.length && secondRow.every((col, k) => k === 0 || col <= secondRow[k - 1]));
+});
+
+test('unknown paths fall back to the default, the path can be changed and cycled', () => {
+  assert.strictEqual(create({ path: 'toString' }).path, RasterAttract.DEFAULTS.path);
+  assert.strictEqual(create({ path: 'zigzag' }).path, RasterAttract.DEFAULTS.path);
+  const attract = create({ cycle: 1 });
+  attract.path = 'constructor';
+  assert.strictEqual(attract.path, 'lissajous');
+  attract.path = 'walk';
+  assert.strictEqual(attract.path, 'walk');
+  attract.start();
+  run(attract, 1.05);
+  const names = Object.keys(RasterAttract.PATHS);
+  assert.strictEqual(attract.path, names[(names.indexOf('walk') + 1) % names.length]);
+});
+
+test('the schedule switches modes while idle', () => {
+  const modes = [];
+  const attract = create({ timeout: 1, schedule: { modes: ['labil', 'stable', 'wave'], interval: 2 }, onMode: (m) => modes.push(m) });
+  run(attract, 8);
+  assert.deepStrictEqual(modes, ['stable', 'wave', 'labil']);
+  attract.input();
+  run(attract, 0.5);
+  assert.strictEqual(modes.length, 3);
+});
+
+test('a registered path is used like the built-ins', () => {
+  RasterAttract.registerPath('test-corner', () => ({ x: COLS - 0.5, y: -1 }));
+  const attract = create({ path: 'test-corner' });
+  attract.start();
+  // off the grid: no point
+  assert.deepStrictEqual(attract.update(1 / 60, COLS, ROWS), []);
+  RasterAttract.registerPath('test-corner', () => ({ x: COLS - 0.5, y: ROWS - 0.5 }));
+  assert.deepStrictEqual(attract.update(1 / 60, COLS, ROWS), [{ id: 'attract', col: COLS - 1, row: ROWS - 1 }]);
+});
@@ -0,0 +1,78 @@
+/* Audio analysis (audio.js): spectrum bands and onset detection, without Web Audio
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterAudio = require('../audio.js');
+
+const RATE = 48000;
+const BINS = 1024; // 23.4 Hz each
+
+function spectrum(from, to, value) {
+  const freq = new Uint8Array(BINS);
+  freq.fill(value === undefined ? 255 : value, from, to);
+  return freq;
+}
+
+test('silence gives no level, a full spectrum full levels', () => {
+  assert.deepStrictEqual(Array.from(RasterAudio.bandLevels(new Uint8Array(BINS), 16, RATE)), new Array(16).fill(0));
+  assert.deepStrictEqual(Array.from(RasterAudio.bandLevels(spectrum(0, BINS), 16, RATE)), new Array(16).fill(1));
+  // below the floor counts as silence
+  const quiet = RasterAudio.bandLevels(spectrum(0, BINS, Math.floor(255 * RasterAudio.BAND_DEFAULTS.floor)), 16, RATE);
+  assert.ok(quiet.every((v) => v === 0));
+});
+
+test('bands are spaced logarithmically: 1.0-1.4 kHz is the tenth of sixteen', () => {
+  const levels = RasterAudio.bandLevels(spectrum(43, 60), 16, RATE);
+  const loudest = levels.indexOf(Math.max(...levels));
+  assert.strictEqual(loudest, 9);
+  assert.ok(levels[9] > 0.8);
+  levels.forEach((v, b) => { if (b < 8 || b > 10) assert.strictEqual(v, 0, 'band ' + b); });
+});
+
+test('bands stop at the Nyquist frequency of low sample rates', () => {
+  const levels = RasterAudio.bandLevels(spectrum(0, BINS), 40, 8000);
+  assert.strictEqual(levels.length, 40);
+  assert.ok(levels.every((v) => v === 1));
+});
+
+// Steady quiet bass with a little noise, then the given frames
+function feed(detector, frames) {
+  const out = [];
+  for (let f = 0; f < 60; f++) out.push(detector.update([0.2 + (f % 3) * 0.01, 0.2, 0.1, 0.1, 0, 0, 0, 0], 1 / 60));
+  frames.forEach((levels) => out.push(detector.update(levels, 1 / 60)));
+  return out;
+}
+
+const KICK = [0.9, 0.9, 0.1, 0.1, 0, 0, 0, 0];
+const HUSH = [0.2, 0.2, 0.1, 0.1, 0, 0, 0, 0];
+
+test('a jump in the bass is a beat, steady sound is not', () => {
+  const beats = feed(RasterAudio.createBeatDetector(), [KICK, HUSH, HUSH]);
+  assert.deepStrictEqual(beats.slice(0, 60).filter(Boolean), []);
+  assert.deepStrictEqual(beats.slice(60), [true, false, false]);
+});
+
+test('only the low bands count', () => {
+  const treble = [0.2, 0.2, 0.1, 0.1, 0.9, 0.9, 0.9, 0.9];
+  assert.deepStrictEqual(feed(RasterAudio.createBeatDetector(), [treble]).filter(Boolean), []);
+});
+
+test('beats are spaced by the cooldown', () => {
+  const frames = [];
+  for (let k = 0; k < 20; k++) frames.push(k % 2 ? HUSH : KICK);
+  const beats = feed(RasterAudio.createBeatDetector({ cooldown: 0.1 }), frames).slice(60);
+  const at = beats.reduce((out, b, i) => (b ? out.concat(i) : out), []);
+  assert.ok(at.length >= 2);
+  for (let k = 1; k < at.length; k++) assert.ok(at[k] - at[k - 1] >= 6);
+});
+
+test('no beats until the running mean has filled up, also after a reset', () => {
+  const detector = RasterAudio.createBeatDetector();
+  assert.deepStrictEqual([HUSH, KICK, HUSH, KICK].map((levels) => detector.update(levels, 1 / 60)), [false, false, false, false]);
+  feed(detector, []);
+  detector.reset();
+  assert.deepStrictEqual([HUSH, KICK].map((levels) => detector.update(levels, 1 / 60)), [false, false]);
+});
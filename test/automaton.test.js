@@ -0,0 +1,72 @@
+/* Automaton mode (sim.js): rule strings and the generations they give
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterSim = require('../sim.js');
+
+// Neighbor counts set in a rule's birth or survival table
+const counts = (table) => table.reduce((out, on, n) => (on ? out.concat(n) : out), []);
+
+test('rule strings give their birth and survival counts and states', () => {
+  const life = RasterSim.parseRule('B3/S23');
+  assert.deepStrictEqual(counts(life.birth), [3]);
+  assert.deepStrictEqual(counts(life.survive), [2, 3]);
+  assert.strictEqual(life.states, 2);
+
+  const brain = RasterSim.parseRule('b2/s/c3');
+  assert.deepStrictEqual(counts(brain.birth), [2]);
+  assert.deepStrictEqual(counts(brain.survive), []);
+  assert.strictEqual(brain.states, 3);
+});
+
+test('named rules are their rule strings', () => {
+  Object.keys(RasterSim.AUTOMATON_RULES).forEach((name) => {
+    assert.deepStrictEqual(RasterSim.parseRule(name), RasterSim.parseRule(RasterSim.AUTOMATON_RULES[name]));
+  });
+  assert.deepStrictEqual(RasterSim.parseRule(' HighLife '), RasterSim.parseRule('B36/S23'));
+});
+
+test('malformed rules and Object.prototype names are rejected', () => {
+  ['', 'B9/S23', 'B3S23', 'B3/S23/C1', 'B3/S23/C99', 'toString', '__proto__'].forEach((rule) => {
+    assert.strictEqual(RasterSim.parseRule(rule), null, rule);
+  });
+});
+
+test('setModeParams keeps the last valid rule', () => {
+  const sim = RasterSim.createSimulation({ cols: 8, rows: 8 });
+  sim.setModeParams('automaton', { automatonRule: ' seeds ' });
+  assert.strictEqual(RasterSim.MODES.automaton.automatonRule, 'seeds');
+  sim.setModeParams('automaton', { automatonRule: 'B3/S9' });
+  assert.strictEqual(RasterSim.MODES.automaton.automatonRule, 'seeds');
+  sim.setModeParams('automaton', { automatonRule: 'life' });
+});
+
+// An empty automaton grid with the given cells alive
+function grid(alive) {
+  const seedDensity = RasterSim.MODES.automaton.seedDensity;
+  RasterSim.MODES.automaton.seedDensity = 0;
+  const sim = RasterSim.createSimulation({ cols: 10, rows: 8, mode: 'automaton', seed: 3 });
+  RasterSim.MODES.automaton.seedDensity = seedDensity;
+  alive.forEach(([col, row]) => { sim.cells[row * sim.cols + col].automatonState = 1; });
+  return sim;
+}
+
+const living = (sim) => sim.cells.reduce((out, cell, i) => (cell.automatonState === 1 ? out.concat(i) : out), []);
+
+test('a blinker turns over each generation', () => {
+  const sim = grid([[4, 5], [5, 5], [6, 5]]);
+  const rate = RasterSim.MODES.automaton.automatonRate;
+  sim.step(1 / rate, []);
+  assert.deepStrictEqual(living(sim), [4 * 10 + 5, 5 * 10 + 5, 6 * 10 + 5]);
+  sim.step(1 / rate, []);
+  assert.deepStrictEqual(living(sim), [5 * 10 + 4, 5 * 10 + 5, 5 * 10 + 6]);
+});
+
+test('the grid wraps around at its edges', () => {
+  const sim = grid([[9, 0], [0, 0], [1, 0]]);
+  sim.step(1 / RasterSim.MODES.automaton.automatonRate, []);
+  assert.deepStrictEqual(living(sim), [0, 10, 70]);
+});
@@ -0,0 +1,117 @@
+/* Paint / edit tools (editor.js): strokes, flood fill and the undo history
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterSim = require('../sim.js');
+const RasterEditor = require('../editor.js');
+
+const COLS = 8;
+const ROWS = 6;
+
+function setup(color) {
+  const sim = RasterSim.createSimulation({ cols: COLS, rows: ROWS, mode: 'stable', seed: 2 });
+  const changed = [];
+  const editor = RasterEditor.createEditor(sim, (idx) => changed.push(idx), color);
+  return { sim, editor, changed };
+}
+
+const pinned = (sim) => sim.cells.reduce((out, cell, i) => (cell.pinned ? out.concat(i) : out), []);
+
+// A painted wall down column `col`, in one stroke
+function wall(editor, col) {
+  editor.beginStroke();
+  for (let r = 0; r < ROWS; r++) editor.paintAt(col, r);
+  editor.endStroke();
+}
+
+test('the brush starts with the given color, else the sim\'s current first color', () => {
+  assert.strictEqual(setup().editor.brush.color, RasterSim.MODES.stable.colors[0]);
+  assert.strictEqual(setup('#3a5eff').editor.brush.color, '#3a5eff');
+});
+
+test('a stroke is one undo step, however often it crosses a cell', () => {
+  const { sim, editor } = setup();
+  editor.beginStroke();
+  editor.paintAt(1, 1);
+  editor.paintAt(2, 1);
+  editor.brush.shape = 'circle';
+  editor.paintAt(1, 1);
+  editor.paintAt(-1, 1);
+  editor.endStroke();
+  assert.deepStrictEqual(pinned(sim), [9, 10]);
+  assert.strictEqual(sim.getPin(9).shape, 'circle');
+  assert.strictEqual(sim.getPin(9).angle, 30 * Math.PI / 180);
+
+  assert.strictEqual(editor.undo(), true);
+  assert.deepStrictEqual(pinned(sim), []);
+  assert.strictEqual(editor.undo(), false);
+  assert.strictEqual(editor.redo(), true);
+  assert.deepStrictEqual(pinned(sim), [9, 10]);
+  assert.strictEqual(sim.getPin(9).shape, 'circle');
+});
+
+test('fill covers the region that looks like the start cell, up to a painted wall', () => {
+  const { sim, editor } = setup();
+  const wallColor = editor.brush.color;
+  wall(editor, 3);
+  editor.brush.color = '#ff0000';
+  editor.fill(0, 2);
+  for (let i = 0; i < COLS * ROWS; i++) {
+    const col = i % COLS;
+    const pin = sim.getPin(i);
+    if (col < 3) assert.strictEqual(pin.color, '#ff0000');
+    else if (col === 3) assert.strictEqual(pin.color, wallColor);
+    else assert.strictEqual(pin.pinned, false);
+  }
+
+  // the wall itself is a region of its own
+  editor.brush.color = '#00ff00';
+  editor.fill(3, 0);
+  assert.ok(pinned(sim).filter((i) => i % COLS === 3).every((i) => sim.getPin(i).color === '#00ff00'));
+  assert.strictEqual(sim.getPin(0).color, '#ff0000');
+});
+
+test('fill is one undo step and does nothing when the region already looks like the brush', () => {
+  const { sim, editor, changed } = setup();
+  editor.fill(4, 4);
+  assert.strictEqual(pinned(sim).length, COLS * ROWS);
+  changed.length = 0;
+  editor.fill(0, 0);
+  assert.deepStrictEqual(changed, []);
+  assert.strictEqual(editor.undo(), true);
+  assert.deepStrictEqual(pinned(sim), []);
+  assert.strictEqual(editor.canUndo, false);
+});
+
+test('erase and clear unpin, a new edit drops the redo steps', () => {
+  const { sim, editor } = setup();
+  wall(editor, 0);
+  wall(editor, 5);
+  editor.tool = 'erase';
+  editor.paintAt(5, 2);
+  assert.strictEqual(sim.getPin(2 * COLS + 5).pinned, false);
+  editor.clear();
+  assert.deepStrictEqual(pinned(sim), []);
+  editor.undo();
+  assert.strictEqual(pinned(sim).length, 2 * ROWS - 1);
+  assert.strictEqual(editor.canRedo, true);
+  editor.tool = 'paint';
+  editor.paintAt(7, 0);
+  assert.strictEqual(editor.canRedo, false);
+  editor.resetHistory();
+  assert.strictEqual(editor.canUndo, false);
+});
+
+test('the history keeps the last 100 steps', () => {
+  const { editor } = setup();
+  for (let k = 0; k < 110; k++) {
+    editor.brush.angleDeg = 10 + k;
+    editor.paintAt(k % COLS, 0);
+  }
+  let steps = 0;
+  while (editor.undo()) steps++;
+  assert.strictEqual(steps, 100);
+});
@@ -0,0 +1,94 @@
+/* Preset store and preset files (presets.js)
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterPresets = require('../presets.js');
+
+// localStorage stand-in; `broken` makes every call throw like a blocked or full storage
+function memoryStorage(broken) {
+  const items = {};
+  return {
+    items,
+    getItem(key) {
+      if (broken) throw new Error('SecurityError');
+      return key in items ? items[key] : null;
+    },
+    setItem(key, value) {
+      if (broken) throw new Error('QuotaExceededError');
+      items[key] = String(value);
+    }
+  };
+}
+
+const MODES = { labil: { startDeg: 50, decay: 0.6 }, stable: { colors: ['#0505fb'] } };
+
+test('saved presets are listed, copied out and survive a reload', () => {
+  const storage = memoryStorage();
+  const store = RasterPresets.createPresetStore(storage);
+  store.save('venue b', MODES);
+  store.save('venue a', { labil: { startDeg: 30 } });
+  assert.deepStrictEqual(store.list(), ['venue a', 'venue b']);
+
+  const preset = store.get('venue b');
+  assert.deepStrictEqual(preset, { name: 'venue b', modes: MODES });
+  preset.modes.labil.startDeg = 1;
+  assert.strictEqual(store.get('venue b').modes.labil.startDeg, 50);
+
+  const again = RasterPresets.createPresetStore(storage);
+  assert.deepStrictEqual(again.list(), ['venue a', 'venue b']);
+  assert.strictEqual(again.remove('venue a'), true);
+  assert.strictEqual(again.remove('venue a'), false);
+  assert.deepStrictEqual(RasterPresets.createPresetStore(storage).list(), ['venue b']);
+});
+
+test('names that are Object.prototype members are not presets until saved', () => {
+  const store = RasterPresets.createPresetStore(memoryStorage());
+  ['toString', 'constructor', 'hasOwnProperty', '__proto__'].forEach((name) => {
+    assert.strictEqual(store.get(name), null);
+    assert.strictEqual(store.remove(name), false);
+  });
+  assert.deepStrictEqual(store.list(), []);
+});
+
+test('a preset called __proto__ is stored as a preset, not as the prototype', () => {
+  const storage = memoryStorage();
+  const store = RasterPresets.createPresetStore(storage);
+  const imported = RasterPresets.parse(JSON.stringify({ format: RasterPresets.FILE_FORMAT, version: 1, name: '__proto__', modes: MODES }));
+  store.save(imported.name, imported.modes);
+  assert.deepStrictEqual(store.list(), ['__proto__']);
+  assert.deepStrictEqual(store.get('__proto__').modes, MODES);
+  assert.strictEqual(store.get('labil'), null);
+  assert.deepStrictEqual(RasterPresets.createPresetStore(storage).list(), ['__proto__']);
+});
+
+test('unreadable or broken storage leaves the presets in memory', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const garbled = memoryStorage();
+    garbled.items['rasterGrid.presets'] = '{not json';
+    assert.deepStrictEqual(RasterPresets.createPresetStore(garbled).list(), []);
+
+    const store = RasterPresets.createPresetStore(memoryStorage(true));
+    store.save('session', MODES);
+    assert.deepStrictEqual(store.get('session').modes, MODES);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('preset files round-trip through toJSON and parse', () => {
+  const text = RasterPresets.toJSON({ name: 'club', modes: MODES });
+  assert.deepStrictEqual(RasterPresets.parse(text), { name: 'club', modes: MODES });
+  assert.strictEqual(RasterPresets.parse({ format: RasterPresets.FILE_FORMAT, modes: {} }).name, 'Imported');
+});
+
+test('other files are rejected', () => {
+  assert.throws(() => RasterPresets.parse('{"modes": {}}'), /Not a preset file/);
+  assert.throws(() => RasterPresets.parse({ format: RasterPresets.FILE_FORMAT }), /Not a preset file/);
+  assert.throws(() => RasterPresets.parse({ format: RasterPresets.FILE_FORMAT, version: 99, modes: {} }), /newer version/);
+  assert.throws(() => RasterPresets.parse('not json'), SyntaxError);
+});
@@ -0,0 +1,115 @@
+/* Recording and replay (recorder.js): a replayed recording reproduces the live run frame by frame
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterSim = require('../sim.js');
+const RasterRecorder = require('../recorder.js');
+
+// Commands issued during the run, by frame: [type, value] as the page records them
+const SCRIPT = {
+  20: ['mode', 'stable'],
+  35: ['pin', [30, { shape: 'circle', color: '#ff0000', angle: 1 }]],
+  50: ['pulse', { col: 4, row: 6 }],
+  65: ['transition', 'spiral 0.5'],
+  70: ['mode', ['wave', 'sweep 0.3 linear']],
+  90: ['params', ['wave', { startDeg: 60 }]],
+  100: ['grid', [20, 16]],
+  110: ['palette', ['#123456', '#abcdef']],
+  120: ['theme', { rest: '#3a3a3a', modes: { labil: ['#9a9a9a'] } }],
+  130: ['mode', 'labil'],
+  140: ['audio', [255, 128, 0, 64]],
+  150: ['seed', 77],
+  160: ['release'],
+  170: ['reset'],
+  180: ['base', [{ shape: 'triangle', color: '#00ff00', angle: 0.3 }]]
+};
+
+// The live side: apply the command the way the page does and record it
+function apply(sim, type, value) {
+  if (type === 'mode') {
+    if (Array.isArray(value)) sim.setMode(value[0], value[1]);
+    else sim.setMode(value);
+  } else if (type === 'pin') sim.setPin(value[0], value[1]);
+  else if (type === 'pulse') sim.addPulse(value);
+  else if (type === 'transition') sim.setTransition(value);
+  else if (type === 'params') sim.setModeParams(value[0], value[1]);
+  else if (type === 'grid') sim.setGridSize(value[0], value[1]);
+  else if (type === 'palette') sim.setPalette(value);
+  else if (type === 'theme') sim.setTheme(value);
+  else if (type === 'audio') sim.setAudio(value.map((v) => v / 255));
+  else if (type === 'seed') sim.setSeed(value);
+  else if (type === 'release') sim.releasePins();
+  else if (type === 'reset') sim.reset();
+  else if (type === 'base') sim.setBase(value);
+}
+
+// Records frames 10..200 of a scripted run; returns the log and the live snapshot after each frame
+function recordRun() {
+  const sim = RasterSim.createSimulation({ cols: 24, rows: 18, mode: 'labil', seed: 2024 });
+  const recorder = RasterRecorder.createRecorder();
+  const shots = [];
+  for (let f = 0; f < 200; f++) {
+    if (f === 10) recorder.start(sim, { frozen: false });
+    const command = SCRIPT[f];
+    if (command) {
+      apply(sim, command[0], command[1]);
+      recorder.event(command[0], command[1]);
+    }
+    const active = [{ id: 1, col: (f * 5) % sim.cols, row: (f >> 2) % sim.rows }];
+    if (f % 3) active.push({ id: 7, col: f % sim.cols, row: 2 });
+    const dt = (16 + (f % 3)) / 1000;
+    recorder.frame(dt, active);
+    sim.step(dt, active);
+    if (f >= 10) shots.push(JSON.stringify(sim.snapshot()));
+  }
+  return { log: recorder.stop(), shots };
+}
+
+test('a replay matches the live run after every frame', () => {
+  const { log, shots } = recordRun();
+  assert.strictEqual(log.frames.length, shots.length);
+  const sim = RasterSim.createSimulation({ cols: 8, rows: 8, seed: 1 });
+  const player = RasterRecorder.createPlayer(log);
+  player.rewind(sim);
+  for (let f = 0; f < shots.length; f++) {
+    assert.notStrictEqual(player.step(sim), -1);
+    assert.strictEqual(JSON.stringify(sim.snapshot()), shots[f], 'frame ' + f);
+  }
+  assert.strictEqual(player.step(sim), -1);
+});
+
+test('a recording survives JSON and replays headlessly to the same end state', () => {
+  const { log, shots } = recordRun();
+  const sim = RasterRecorder.replay(RasterSim.createSimulation(), JSON.stringify(log));
+  assert.strictEqual(JSON.stringify(sim.snapshot()), shots[shots.length - 1]);
+});
+
+test('replaying twice gives the same run', () => {
+  const { log } = recordRun();
+  const a = RasterRecorder.replay(RasterSim.createSimulation(), log);
+  const b = RasterRecorder.replay(RasterSim.createSimulation(), log);
+  assert.strictEqual(JSON.stringify(a.snapshot()), JSON.stringify(b.snapshot()));
+});
+
+test('freeze is player state: frozen frames do not step', () => {
+  const sim = RasterSim.createSimulation({ cols: 10, rows: 10, seed: 4 });
+  const recorder = RasterRecorder.createRecorder();
+  recorder.start(sim, { frozen: false });
+  recorder.event('freeze', true);
+  recorder.frame(1 / 60, [{ id: 1, col: 5, row: 5 }]);
+  const log = recorder.stop();
+  const before = JSON.stringify(sim.snapshot());
+  const player = RasterRecorder.createPlayer(log);
+  player.rewind(sim);
+  player.step(sim);
+  assert.strictEqual(player.frozen, true);
+  assert.strictEqual(JSON.stringify(sim.snapshot()), before);
+});
+
+test('unknown recordings are rejected', () => {
+  assert.throws(() => RasterRecorder.createPlayer({ version: 99, frames: [] }), /Unsupported recording/);
+  assert.throws(() => RasterRecorder.createPlayer('{}'), /Unsupported recording/);
+});
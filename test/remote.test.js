@@ -0,0 +1,118 @@
+/* Remote control (remote.js): command validation, remote pointers and the client's replies
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterRemote = require('../remote.js');
+
+test('commands are parsed from text or objects and checked', () => {
+  assert.deepStrictEqual(RasterRemote.parseCommand('{"cmd":"mode","mode":"wave","transition":"sweep 1","id":7}'),
+    { cmd: 'mode', mode: 'wave', transition: 'sweep 1', id: 7 });
+  assert.deepStrictEqual(RasterRemote.parseCommand({ cmd: 'reset', transition: null }), { cmd: 'reset', transition: null });
+  assert.ok(RasterRemote.parseCommand({ cmd: 'pointers', points: [{ id: 'a', x: 0.5, y: 1 }, { id: 2, x: 0, y: 0 }] }));
+  assert.ok(RasterRemote.parseCommand({ cmd: 'theme', theme: { rest: '#000000' } }));
+});
+
+test('events, errors and other non-commands are not answered', () => {
+  assert.strictEqual(RasterRemote.parseCommand('{"event":"flips"}'), null);
+  assert.strictEqual(RasterRemote.parseCommand('{"event":"error","message":"x"}'), null);
+  assert.strictEqual(RasterRemote.parseCommand('null'), null);
+  assert.strictEqual(RasterRemote.parseCommand('42'), null);
+});
+
+test('bad commands throw with a message for the error reply', () => {
+  assert.throws(() => RasterRemote.parseCommand('{cmd'), /Invalid JSON/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 5 }), /Invalid command name/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'explode' }), /Unknown command: explode/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'toString' }), /Unknown command/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'mode' }), /Invalid mode command/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'mode', mode: 'wave', transition: 3 }), /Invalid mode command/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'freeze', value: 'yes' }), /Invalid freeze command/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'pointers', points: [{ id: {}, x: 0, y: 0 }] }), /Invalid pointers/);
+  assert.throws(() => RasterRemote.parseCommand({ cmd: 'seed', seed: 'abc' }), /Invalid seed/);
+});
+
+test('remote pointers map onto the grid, clamped to its edges', () => {
+  const set = RasterRemote.createPointerSet(1);
+  set.set([{ id: 'a', x: 0.5, y: 0.25 }, { id: 3, x: 1.5, y: -1 }, { id: 'b', x: 1, y: 1 }]);
+  assert.strictEqual(set.size, 3);
+  assert.deepStrictEqual(set.update(0, 10, 8), [
+    { id: 'remote:a', col: 5, row: 2 },
+    { id: 'remote:3', col: 9, row: 0 },
+    { id: 'remote:b', col: 9, row: 7 }
+  ]);
+});
+
+test('a message carries every pointer: ids left out are lifted', () => {
+  const set = RasterRemote.createPointerSet(1);
+  set.set([{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 0, y: 0 }]);
+  set.set([{ id: 'b', x: 0.5, y: 0.5 }]);
+  assert.deepStrictEqual(set.update(0, 4, 4), [{ id: 'remote:b', col: 2, row: 2 }]);
+  set.set([]);
+  assert.strictEqual(set.size, 0);
+});
+
+test('pointers without updates expire after their time to live', () => {
+  const set = RasterRemote.createPointerSet(1);
+  set.set([{ id: 'a', x: 0, y: 0 }]);
+  assert.strictEqual(set.update(0.6, 4, 4).length, 1);
+  set.set([{ id: 'a', x: 0, y: 0 }]);
+  assert.strictEqual(set.update(0.6, 4, 4).length, 1);
+  assert.strictEqual(set.update(0.6, 4, 4).length, 0);
+  assert.strictEqual(set.size, 0);
+});
+
+// Stand-in for a browser WebSocket that opens on demand
+function FakeSocket(url) {
+  FakeSocket.last = this;
+  this.url = url;
+  this.readyState = 0;
+  this.sent = [];
+}
+FakeSocket.prototype.send = function (text) { this.sent.push(JSON.parse(text)); };
+FakeSocket.prototype.close = function () { this.readyState = 3; };
+FakeSocket.prototype.open = function () {
+  this.readyState = 1;
+  this.onopen();
+};
+
+test('the client says hello, answers commands with their id and reports errors', () => {
+  const statuses = [];
+  const remote = RasterRemote.createRemote({
+    url: 'ws://relay:8080/?show=1',
+    WebSocket: FakeSocket,
+    onStatus: (s) => statuses.push(s),
+    handlers: { mode: (msg) => ({ event: 'mode', mode: msg.mode }), seed: () => undefined }
+  });
+  remote.connect();
+  const socket = FakeSocket.last;
+  assert.strictEqual(socket.url, 'ws://relay:8080/?show=1&role=grid');
+  socket.open();
+  assert.deepStrictEqual(statuses, ['connecting', 'online']);
+  assert.deepStrictEqual(socket.sent.shift(),
+    { event: 'hello', protocol: RasterRemote.PROTOCOL, version: RasterRemote.PROTOCOL_VERSION, role: 'grid' });
+
+  socket.onmessage({ data: '{"cmd":"mode","mode":"wave","id":"m1"}' });
+  socket.onmessage({ data: '{"cmd":"seed","seed":4}' });
+  socket.onmessage({ data: '{"event":"mode","mode":"labil"}' });
+  socket.onmessage({ data: '{"cmd":"freeze","id":2}' });
+  socket.onmessage({ data: '{"cmd":"mode"}' });
+  socket.onmessage({ data: 'garbage' });
+  assert.deepStrictEqual(socket.sent, [
+    { event: 'mode', mode: 'wave', id: 'm1' },
+    { event: 'error', message: 'Unsupported command: freeze', cmd: 'freeze', id: 2 },
+    { event: 'error', message: 'Invalid mode command' },
+    { event: 'error', message: 'Invalid JSON' }
+  ]);
+
+  remote.close();
+  assert.strictEqual(socket.readyState, 3);
+  assert.strictEqual(remote.status, 'offline');
+  assert.strictEqual(remote.send({ event: 'state' }), false);
+});
+
+test('unknown roles are rejected', () => {
+  assert.throws(() => RasterRemote.createRemote({ url: 'ws://x', role: 'projector' }), /Unknown role/);
+});
@@ -0,0 +1,90 @@
+/* Tile shapes (shapes.js): SVG path parsing and fitting into the tile
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterShapes = require('../shapes.js');
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+function bounds(contours) {
+  const xs = [], ys = [];
+  contours.forEach((c) => c.forEach((p) => {
+    xs.push(p[0]);
+    ys.push(p[1]);
+  }));
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+test('straight segments, absolute and relative, give the same outline', () => {
+  const abs = RasterShapes.parsePath('M0 0 L10 0 L10 10 L0 10 Z');
+  const rel = RasterShapes.parsePath('m0 0 l10 0 l0 10 l-10 0 z');
+  const hv = RasterShapes.parsePath('M0 0 H10 V10 H0 Z');
+  assert.deepStrictEqual(abs, [[[0, 0], [10, 0], [10, 10], [0, 10]]]);
+  assert.deepStrictEqual(rel, abs);
+  assert.deepStrictEqual(hv, abs);
+});
+
+test('pairs after M are line segments, numbers may run together', () => {
+  assert.deepStrictEqual(RasterShapes.parsePath('M0,0 10,0 10-10z'), [[[0, 0], [10, 0], [10, -10]]]);
+  assert.deepStrictEqual(RasterShapes.parsePath('M.5.5L1.5.5 1.5 1.5z'), [[[0.5, 0.5], [1.5, 0.5], [1.5, 1.5]]]);
+});
+
+test('curves are flattened and end on their end point', () => {
+  const [cubic] = RasterShapes.parsePath('M0 0 C0 10 10 10 10 0 Z', 8);
+  assert.strictEqual(cubic.length, 9);
+  assert.deepStrictEqual(cubic[8], [10, 0]);
+  const [quad] = RasterShapes.parsePath('M0 0 Q5 10 10 0 T20 0 L20 -5 Z', 4);
+  assert.deepStrictEqual(quad[8], [20, 0]);
+  // the smooth quad mirrors the control point: its middle dips below the axis
+  assert.ok(quad[6][1] < 0);
+});
+
+test('an arc runs round its circle', () => {
+  const [half] = RasterShapes.parsePath('M0 0 A5 5 0 0 1 10 0 Z');
+  half.forEach((p) => assert.ok(close(Math.hypot(p[0] - 5, p[1]), 5)));
+});
+
+test('arc flags may be written without separators', () => {
+  assert.deepStrictEqual(RasterShapes.parsePath('M0 0 a5 5 0 104 4 z'), RasterShapes.parsePath('M0 0 a5 5 0 1 0 4 4 z'));
+  assert.deepStrictEqual(RasterShapes.parsePath('M0 0a5 5 0 114-4z'), RasterShapes.parsePath('M0 0a5 5 0 1 1 4 -4z'));
+  assert.throws(() => RasterShapes.parsePath('M0 0 a5 5 0 2 0 4 4 z'), /Bad path data/);
+});
+
+test('bad path data is rejected', () => {
+  assert.throws(() => RasterShapes.parsePath('10 10 L0 0'), /must start with a command/);
+  assert.throws(() => RasterShapes.parsePath('M0 0 L10'), /Bad path data/);
+});
+
+test('degenerate pieces are dropped', () => {
+  assert.deepStrictEqual(RasterShapes.parsePath('M0 0 L10 0 Z M0 0 L10 0 L20 0 Z'), []);
+});
+
+test('a registered path fits the tile with its left edge on the pivot', () => {
+  const shape = RasterShapes.registerShape('test-ring', {
+    path: 'M0 0 H20 V10 H0 Z M5 2 H15 V8 H5 Z'
+  });
+  const b = bounds(shape.contours);
+  assert.ok(close(b.minX, 0));
+  assert.ok(close(b.maxX, RasterShapes.TILE));
+  assert.ok(close(b.minY, -b.maxY));
+  assert.strictEqual(shape.groups.length, 1);
+  assert.strictEqual(shape.groups[0].holes.length, 1);
+  assert.ok(shape.area > 0 && shape.area < RasterShapes.SHAPES.square.area);
+  assert.strictEqual(RasterShapes.getShape('no such shape'), RasterShapes.SHAPES.square);
+});
+
+test('shapes come out of an SVG document', () => {
+  const svg = '<svg><path fill="red" d="M0 0 L1 0 L1 1 Z"/><path d=\'M2 2 L3 2 L3 3 Z\'/></svg>';
+  assert.deepStrictEqual(RasterShapes.pathsFromSVG(svg), ['M0 0 L1 0 L1 1 Z', 'M2 2 L3 2 L3 3 Z']);
+});
+
+test('byCoverage orders from the thinnest to the fullest shape', () => {
+  const order = RasterShapes.byCoverage();
+  assert.strictEqual(order[0], 'line');
+  for (let k = 1; k < order.length; k++) {
+    assert.ok(RasterShapes.SHAPES[order[k - 1]].area <= RasterShapes.SHAPES[order[k]].area);
+  }
+});
@@ -0,0 +1,131 @@
+/* The worker (simworker.js) and the page's replica end up where a plain main-thread run does
+   - the worker runs in its own vm realm, messages are structured-cloned (buffers transferred)
+     and delivered asynchronously, answers arriving a few frames late as in a browser
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const RasterSim = require('../sim.js');
+const RasterRecorder = require('../recorder.js');
+const RasterSimWorker = require('../simworker.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Stand-in for a Web Worker: simworker.js in a realm that looks like a WorkerGlobalScope.
+// Every third answer is held back a little, so steps pile up behind it.
+function FakeWorker(url) {
+  const worker = this;
+  const scope = { console };
+  const context = vm.createContext(scope);
+  let answers = 0;
+  scope.importScripts = (file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context);
+  scope.postMessage = (msg, transfer) => {
+    const data = structuredClone(msg, { transfer });
+    setTimeout(() => { if (worker.onmessage) worker.onmessage({ data }); }, answers++ % 3 ? 0 : 4);
+  };
+  vm.runInContext('var self = this; function WorkerGlobalScope() {} Object.setPrototypeOf(this, WorkerGlobalScope.prototype);', context);
+  vm.runInContext(fs.readFileSync(url, 'utf8'), context);
+  this.postMessage = (msg, transfer) => {
+    const data = structuredClone(msg, { transfer });
+    setTimeout(() => scope.onmessage({ data }), 0);
+  };
+  this.terminate = () => {};
+}
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms || 0));
+
+// Commands by frame, issued on the replica (forwarded to the worker) or on a plain sim
+const SCRIPT = {
+  15: (sim) => sim.setMode('stable'),
+  30: (sim) => sim.setPin(40, { shape: 'circle', color: '#ff0000', angle: 1 }),
+  45: (sim) => sim.addPulse({}),
+  60: (sim) => sim.setMode('wave', 'radial 0.4'),
+  80: (sim) => sim.setGridSize(30, 20),
+  95: (sim) => sim.setPalette(['#123456', '#abcdef']),
+  110: (sim) => sim.setMode('automaton'),
+  130: (sim) => sim.setTheme({ rest: '#3a3a3a', modes: {} }),
+  150: (sim) => sim.reset(),
+  165: (sim) => sim.setBase([{ shape: 'triangle', color: '#00ff00', angle: 0.3 }])
+};
+
+function pointers(sim, frame) {
+  return [{ id: 1, col: (frame * 2) % sim.cols, row: (frame >> 1) % sim.rows }, { id: 2, col: 10, row: frame % sim.rows }];
+}
+
+function create(onEvent) {
+  return RasterSim.createSimulation({ cols: 36, rows: 24, mode: 'labil', seed: 8, onEvent });
+}
+
+// Wait for the worker's last answer: the replica has adopted every step once nothing is out
+async function settle() {
+  for (let i = 0; i < 40; i++) await tick(2);
+}
+
+test('the replica matches a main-thread run once the worker has caught up', async () => {
+  const frames = 180;
+  const workerEvents = [];
+  const replica = create();
+  const client = RasterSimWorker.createClient(replica, {
+    url: path.join(ROOT, 'simworker.js'),
+    Worker: FakeWorker,
+    onEvent: (type) => workerEvents.push(type)
+  });
+  assert.ok(client);
+
+  for (let f = 0; f < frames; f++) {
+    if (SCRIPT[f]) SCRIPT[f](replica);
+    assert.strictEqual(client.step(1 / 60, pointers(replica, f)), true);
+    await tick(f % 2);
+  }
+  await settle();
+
+  const localEvents = [];
+  const local = create((type) => localEvents.push(type));
+  for (let f = 0; f < frames; f++) {
+    if (SCRIPT[f]) SCRIPT[f](local);
+    local.step(1 / 60, pointers(local, f));
+  }
+
+  assert.strictEqual(JSON.stringify(replica.snapshot()), JSON.stringify(local.snapshot()));
+  // while it runs, the worker's events are the ones reported: the same mode switches
+  const modeChanges = (list) => list.filter((t) => t === 'modechange');
+  assert.deepStrictEqual(modeChanges(workerEvents), modeChanges(localEvents));
+  assert.strictEqual(modeChanges(localEvents).length, 3);
+  client.disable();
+});
+
+test('a recording made while the worker steps replays to the same state', async () => {
+  const replica = create();
+  const client = RasterSimWorker.createClient(replica, { url: path.join(ROOT, 'simworker.js'), Worker: FakeWorker });
+  const recorder = RasterRecorder.createRecorder();
+  for (let f = 0; f < 150; f++) {
+    // starting the recording snapshots the replica: the worker is reloaded from it
+    if (f === 20) recorder.start(replica);
+    if (f === 40) {
+      replica.setMode('reveal');
+      recorder.event('mode', 'reveal');
+    }
+    if (f === 70) {
+      replica.addPulse({ col: 3, row: 4 });
+      recorder.event('pulse', { col: 3, row: 4 });
+    }
+    if (f === 100) {
+      replica.setMode('labil', 'checkerboard 0.5');
+      recorder.event('mode', ['labil', 'checkerboard 0.5']);
+    }
+    const active = pointers(replica, f);
+    recorder.frame(1 / 60, active);
+    client.step(1 / 60, active);
+    await tick(f % 3 === 0 ? 1 : 0);
+  }
+  await settle();
+  const log = recorder.stop();
+  const replayed = RasterRecorder.replay(RasterSim.createSimulation(), JSON.parse(JSON.stringify(log)));
+  assert.strictEqual(JSON.stringify(replica.snapshot()), JSON.stringify(replayed.snapshot()));
+  client.disable();
+});
@@ -0,0 +1,76 @@
+/* Color themes (themes.js) and the tile colors they give the simulation
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterThemes = require('../themes.js');
+const RasterSim = require('../sim.js');
+
+test('built-in themes are listed in order and looked up by name', () => {
+  assert.deepStrictEqual(RasterThemes.THEME_ORDER.slice(0, 3), ['dark', 'light', 'high-contrast']);
+  assert.strictEqual(RasterThemes.getTheme(RasterThemes.DEFAULT_THEME), RasterThemes.THEMES.dark);
+  assert.strictEqual(RasterThemes.getTheme('light').rest, '#3a3a3a');
+  assert.strictEqual(RasterThemes.getTheme('sepia'), null);
+});
+
+test('Object.prototype names are not themes', () => {
+  ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach((name) => {
+    assert.strictEqual(RasterThemes.getTheme(name), null, name);
+  });
+});
+
+test('createTheme fills in missing and invalid colors from its base', () => {
+  const light = RasterThemes.getTheme('light');
+  const theme = RasterThemes.createTheme({ background: '#000000', ink: 'red', rest: '#12345', modes: {
+    stable: ['#00ff00', 'green'],
+    wave: ['nope'],
+    reveal: ['#ff00ff']
+  } }, light);
+  assert.strictEqual(theme.background, '#000000');
+  assert.strictEqual(theme.ink, light.ink);
+  assert.strictEqual(theme.rest, light.rest);
+  assert.strictEqual(theme.label, light.label);
+  assert.deepStrictEqual(theme.modes.stable, ['#00ff00']);
+  assert.deepStrictEqual(theme.modes.wave, light.modes.wave);
+  assert.deepStrictEqual(theme.modes.reveal, ['#ff00ff']);
+
+  // the base's lists are copied, not shared
+  theme.modes.labil.push('#000000');
+  assert.strictEqual(light.modes.labil.length, 3);
+  assert.deepStrictEqual(RasterThemes.createTheme(null), Object.assign({}, RasterThemes.THEMES.dark, { modes: {} }));
+});
+
+test('registerTheme builds on a named base and replaces a theme of the same name', () => {
+  const count = RasterThemes.THEME_ORDER.length;
+  const venue = RasterThemes.registerTheme('test-venue', { base: 'high-contrast', accent: '#ff8800' });
+  assert.strictEqual(venue.label, 'test-venue');
+  assert.strictEqual(venue.background, '#000000');
+  assert.strictEqual(venue.accent, '#ff8800');
+  assert.deepStrictEqual(venue.modes.stable, ['#ffff00']);
+  RasterThemes.registerTheme('test-venue', { label: 'Venue', base: 'toString' });
+  assert.strictEqual(RasterThemes.getTheme('test-venue').background, RasterThemes.THEMES.dark.background);
+  assert.strictEqual(RasterThemes.getTheme('test-venue').label, 'Venue');
+  assert.strictEqual(RasterThemes.THEME_ORDER.length, count + 1);
+  assert.throws(() => RasterThemes.registerTheme('', {}), /name must be a string/);
+});
+
+test('the simulation takes a theme\'s rest and mode colors', () => {
+  const sim = RasterSim.createSimulation({ cols: 6, rows: 4, mode: 'stable', seed: 1 });
+  const light = RasterThemes.getTheme('light');
+  assert.deepStrictEqual(RasterThemes.simColors(light), { rest: light.rest, modes: light.modes });
+  sim.setTheme(RasterThemes.simColors(light));
+  assert.ok(sim.cells.every((cell) => cell.color === light.rest));
+  assert.deepStrictEqual(sim.colors(), light.modes.stable);
+  sim.setMode('reveal');
+  assert.deepStrictEqual(sim.colors(), RasterSim.MODES.reveal.colors);
+  sim.setPalette(['#abcdef']);
+  assert.deepStrictEqual(sim.colors(), ['#abcdef']);
+});
+
+test('a theme called __proto__ is stored as a theme', () => {
+  RasterThemes.registerTheme('__proto__', { rest: '#010203' });
+  assert.strictEqual(RasterThemes.getTheme('__proto__').rest, '#010203');
+  assert.strictEqual(RasterThemes.getTheme('toString'), null);
+});
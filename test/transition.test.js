@@ -0,0 +1,90 @@
+/* Transitions (sim.js): mode switches and resets that bring the cells in, in a pattern's order
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterSim = require('../sim.js');
+
+// A grid with a stroke of Stable's cells, then handed to Labil (which keeps them flipped)
+function stableStroke() {
+  const sim = RasterSim.createSimulation({ cols: 16, rows: 12, mode: 'stable', seed: 5 });
+  for (let f = 0; f < 120; f++) sim.step(1 / 60, [{ id: 1, col: f % 16, row: (f >> 3) % 12 }]);
+  sim.setMode('labil');
+  return sim;
+}
+
+test('Stable brings its cells back in the transition order, not all at once', () => {
+  const sim = stableStroke();
+  sim.setMode('stable', 'sweep 6 linear');
+  const own = sim.cells.filter((cell) => cell.modifiedBy === 'stable');
+  assert.ok(own.length > 10);
+
+  sim.step(1 / 60, []);
+  assert.deepStrictEqual(own.filter((cell) => cell.flutterActive), []);
+
+  for (let f = 0; f < 120; f++) sim.step(1 / 60, []);
+  const woken = own.filter((cell) => cell.wakeTimer == null);
+  assert.ok(woken.length > 0 && woken.length < own.length);
+  own.forEach((cell) => assert.strictEqual(cell.flutterActive, cell.wakeTimer == null));
+
+  for (let f = 0; f < 300; f++) sim.step(1 / 60, []);
+  own.forEach((cell) => assert.strictEqual(cell.flutterActive, true));
+});
+
+test('transitions are read from strings and objects, with defaults and limits', () => {
+  assert.deepStrictEqual(RasterSim.normalizeTransition('radial 0.4'), { pattern: 'radial', duration: 0.4, easing: 'ease-in-out' });
+  assert.deepStrictEqual(RasterSim.normalizeTransition(' sweep, linear 2 '), { pattern: 'sweep', duration: 2, easing: 'linear' });
+  assert.deepStrictEqual(RasterSim.normalizeTransition({ pattern: 'spiral', duration: 99, easing: 'bounce' }),
+    { pattern: 'spiral', duration: 20, easing: 'ease-in-out' });
+  assert.deepStrictEqual(RasterSim.normalizeTransition({ pattern: 'random', duration: -1, easing: 'constructor' }),
+    { pattern: 'random', duration: 0, easing: 'ease-in-out' });
+  assert.strictEqual(RasterSim.normalizeTransition('zigzag 1'), null);
+  assert.strictEqual(RasterSim.normalizeTransition(null), null);
+});
+
+test('easings run from the first cell at 0 to the last at 1, in order', () => {
+  Object.keys(RasterSim.TRANSITION_EASINGS).forEach((name) => {
+    const ease = RasterSim.TRANSITION_EASINGS[name];
+    assert.ok(Math.abs(ease(0)) < 1e-12 && Math.abs(ease(1) - 1) < 1e-12, name);
+    for (let t = 0.05; t <= 1; t += 0.05) assert.ok(ease(t) > ease(t - 0.05), name);
+  });
+  // ease-in starts slowly: the front needs longer for the first stretch
+  assert.ok(RasterSim.TRANSITION_EASINGS['ease-in'](0.25) > 0.25);
+  assert.ok(RasterSim.TRANSITION_EASINGS['ease-out'](0.25) < 0.25);
+});
+
+// When each cell of a full automaton soup comes in with the given transition
+function wakeDelays(transition) {
+  const density = RasterSim.MODES.automaton.seedDensity;
+  RasterSim.MODES.automaton.seedDensity = 1;
+  const sim = RasterSim.createSimulation({ cols: 12, rows: 8, seed: 6 });
+  sim.setMode('automaton', transition);
+  RasterSim.MODES.automaton.seedDensity = density;
+  return { sim, delays: sim.cells.map((cell) => cell.wakeTimer) };
+}
+
+test('a sweep brings the cells in column by column over its duration', () => {
+  const { sim, delays } = wakeDelays('sweep 3 linear');
+  delays.forEach((d, i) => {
+    const col = i % sim.cols;
+    assert.ok(Math.abs(d - Math.max(0.02, col / (sim.cols - 1) * 3)) < 1e-9);
+  });
+});
+
+test('a checkerboard brings in one color of the board before the other', () => {
+  const { sim, delays } = wakeDelays('checkerboard 2');
+  const parity = (i) => (i % sim.cols + Math.floor(i / sim.cols)) % 2;
+  const first = Math.max(...delays.filter((d, i) => parity(i) === 0));
+  const second = Math.min(...delays.filter((d, i) => parity(i) === 1));
+  assert.ok(first < second);
+  assert.ok(Math.abs(Math.max(...delays) - 2) < 1e-9);
+});
+
+test('a radial transition spreads out from the middle', () => {
+  const { sim, delays } = wakeDelays('radial 1');
+  const at = (col, row) => delays[row * sim.cols + col];
+  assert.ok(at(5, 3) < at(3, 3) && at(3, 3) < at(0, 3));
+  assert.ok(Math.abs(at(0, 0) - at(11, 7)) < 1e-9);
+});
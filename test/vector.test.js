@@ -0,0 +1,66 @@
+/* Vector writers (vector.js): SVG markup and a PDF whose cross-reference table points at its objects
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterVector = require('../vector.js');
+
+const TRIANGLE = { points: [[10, 10], [30.456, 10], [20, 25]], fill: '#ff0000' };
+const FRAME = {
+  points: [[0, 0], [40, 0], [40, 40], [0, 40]],
+  holes: [[[10, 10], [30, 10], [30, 30], [10, 30]]],
+  fill: '#0505fb'
+};
+
+test('hex colors in long and short form', () => {
+  assert.deepStrictEqual(RasterVector.hexToRgb('#0505fb'), [5, 5, 251]);
+  assert.deepStrictEqual(RasterVector.hexToRgb('#fa0'), [255, 170, 0]);
+  assert.deepStrictEqual(RasterVector.hexToRgb('nonsense'), [0, 0, 0]);
+});
+
+test('SVG: polygons back to front, holes cut out even-odd', () => {
+  const svg = RasterVector.toSVG([FRAME, TRIANGLE], { width: 100, height: 50.125, background: '#1a1a1a' });
+  const lines = svg.split('\n');
+  assert.strictEqual(lines[0], '<?xml version="1.0" encoding="UTF-8"?>');
+  assert.strictEqual(lines[1],
+    '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50.13" viewBox="0 0 100 50.13">');
+  assert.strictEqual(lines[2], '<rect width="100%" height="100%" fill="#1a1a1a"/>');
+  assert.strictEqual(lines[3], '<path d="M0,0L40,0L40,40L0,40ZM10,10L30,10L30,30L10,30Z" fill="#0505fb" fill-rule="evenodd"/>');
+  assert.strictEqual(lines[4], '<polygon points="10,10 30.46,10 20,25" fill="#ff0000"/>');
+  assert.strictEqual(lines[5], '</svg>');
+});
+
+test('SVG without a background is transparent', () => {
+  assert.ok(!/<rect/.test(RasterVector.toSVG([TRIANGLE], { width: 10, height: 10, background: null })));
+});
+
+// The page's content stream
+function content(pdf) {
+  return /stream\n([\s\S]*)\nendstream/.exec(pdf)[1];
+}
+
+test('PDF: one page of the given size, y flipped, holes filled even-odd', () => {
+  const pdf = RasterVector.toPDF([FRAME, TRIANGLE], { width: 100, height: 50, background: '#ffffff' });
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  assert.ok(/\/MediaBox \[0 0 100 50\]/.test(pdf));
+  assert.deepStrictEqual(content(pdf).split('\n'), [
+    '1 1 1 rg',
+    '0 0 100 50 re f',
+    '0.02 0.02 0.98 rg 0 50 m 40 50 l 40 10 l 0 10 l h 10 40 m 30 40 l 30 20 l 10 20 l h f*',
+    '1 0 0 rg 10 40 m 30.46 40 l 20 25 l h f'
+  ]);
+  assert.strictEqual(Number(/\/Length (\d+)/.exec(pdf)[1]), content(pdf).length);
+});
+
+test('PDF: the cross-reference table points at each object', () => {
+  const pdf = RasterVector.toPDF([TRIANGLE], { width: 60, height: 40 });
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.ok(pdf.startsWith('xref\n0 5\n', xref));
+  const offsets = pdf.slice(xref).split('\n').slice(3, 7).map((line) => Number(line.slice(0, 10)));
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith((i + 1) + ' 0 obj\n', offset), 'object ' + (i + 1)));
+  assert.ok(/^[\x00-\x7f]*$/.test(pdf));
+  assert.ok(!/ re f/.test(content(pdf)));
+});
@@ -0,0 +1,81 @@
+/* Traveling waves (sim.js): ripples sent out by flips, their shapes and how they add up
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterSim = require('../sim.js');
+
+const COLS = 24;
+const ROWS = 14;
+
+// A calm Wave grid with the given waves in flight: [col, row, radius, speed, width, strength, damping, shape]
+function withWaves(waves) {
+  const sim = RasterSim.createSimulation({ cols: COLS, rows: ROWS, mode: 'wave', seed: 9 });
+  const state = sim.snapshot();
+  state.waves = waves;
+  sim.restore(state);
+  sim.step(0, []);
+  return sim;
+}
+
+const lifted = (sim, col, row) => sim.cells[row * COLS + col].currentIntensity > 0;
+
+test('a flip sends out a ripple of the mode\'s shape from its cell', () => {
+  const sim = RasterSim.createSimulation({ cols: COLS, rows: ROWS, mode: 'wave', seed: 9 });
+  const mode = RasterSim.MODES.wave;
+  for (let f = 0; f < 60 && !sim.snapshot().waves.length; f++) sim.step(1 / 60, [{ id: 1, col: 7, row: 4 }]);
+  const waves = sim.snapshot().waves;
+  assert.strictEqual(waves.length, 1);
+  const [col, row, radius, speed, width, strength, damping, shape] = waves[0];
+  assert.deepStrictEqual([col, row], [7, 4]);
+  assert.ok(radius >= 0 && radius < 1);
+  assert.deepStrictEqual([speed, width, strength, damping, shape],
+    [mode.waveSpeed, mode.waveWidth, mode.waveStrength, mode.waveDamping, mode.waveShape]);
+});
+
+test('a ring lifts the cells just inside its front, not the trough behind', () => {
+  const sim = withWaves([[12, 7, 5, 10, 2, 1, 0, 'ring']]);
+  assert.ok(lifted(sim, 16, 7));
+  assert.ok(lifted(sim, 12, 3));
+  assert.ok(!lifted(sim, 14, 7));
+  assert.ok(!lifted(sim, 18, 7));
+  assert.ok(!lifted(sim, 12, 7));
+});
+
+test('a line runs down every row, a cross only along its row and column', () => {
+  const line = withWaves([[12, 7, 5, 10, 2, 1, 0, 'line']]);
+  const cross = withWaves([[12, 7, 5, 10, 2, 1, 0, 'cross']]);
+  for (let r = 0; r < ROWS; r++) {
+    assert.ok(lifted(line, 8, r) && lifted(line, 16, r));
+    assert.strictEqual(lifted(cross, 16, r), r === 7);
+  }
+  assert.ok(lifted(cross, 12, 3) && lifted(cross, 12, 11));
+});
+
+test('a crest meeting a trough cancels out', () => {
+  assert.ok(lifted(withWaves([[12, 7, 5, 10, 2, 1, 0, 'line']]), 16, 7));
+  assert.ok(!lifted(withWaves([[12, 7, 5, 10, 2, 1, 0, 'line'], [12, 7, 7, 10, 2, 1, 0, 'line']]), 16, 7));
+});
+
+test('ripples travel at their speed and are dropped once faded or off the grid', () => {
+  const sim = withWaves([[12, 7, 0, 10, 2, 1, 0, 'ring'], [12, 7, 0, 10, 2, 1, 3, 'ring']]);
+  sim.step(0.5, []);
+  const waves = sim.snapshot().waves;
+  assert.strictEqual(waves.length, 1);
+  assert.strictEqual(waves[0][2], 5);
+  for (let f = 0; f < 60; f++) sim.step(1 / 20, []);
+  assert.deepStrictEqual(sim.snapshot().waves, []);
+});
+
+test('only the known shapes can be set', () => {
+  const sim = RasterSim.createSimulation({ cols: 8, rows: 8 });
+  RasterSim.WAVE_SHAPES.forEach((shape) => {
+    sim.setModeParams('wave', { waveShape: shape });
+    assert.strictEqual(RasterSim.MODES.wave.waveShape, shape);
+  });
+  sim.setModeParams('wave', { waveShape: 'spiral' });
+  assert.strictEqual(RasterSim.MODES.wave.waveShape, RasterSim.WAVE_SHAPES[RasterSim.WAVE_SHAPES.length - 1]);
+  sim.setModeParams('wave', { waveShape: 'ring' });
+});
@@ -0,0 +1,75 @@
+/* ZIP writer (zip.js): checksums and an archive any unzip tool can walk
+   - run with: node --test test/
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RasterZip = require('../zip.js');
+
+const bytes = (text) => new TextEncoder().encode(text);
+const text = (data) => new TextDecoder().decode(data);
+
+test('crc32 is the standard (zlib / PNG) checksum', () => {
+  assert.strictEqual(RasterZip.crc32(bytes('')), 0);
+  assert.strictEqual(RasterZip.crc32(bytes('123456789')), 0xCBF43926);
+  assert.strictEqual(RasterZip.crc32(bytes('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+  assert.strictEqual(RasterZip.crc32(new Uint8Array([0xff, 0x00, 0x80])), RasterZip.crc32([0xff, 0x00, 0x80]));
+});
+
+// The entries of an archive as an unzip tool finds them: from the end record through the
+// central directory to each local header
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  const dirSize = view.getUint32(end + 12, true);
+  let pos = view.getUint32(end + 16, true);
+  assert.strictEqual(pos + dirSize, end);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(view.getUint32(pos, true), 0x02014b50);
+    const crc = view.getUint32(pos + 16, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const name = text(zip.subarray(pos + 46, pos + 46 + nameLength));
+    const local = view.getUint32(pos + 42, true);
+    assert.strictEqual(view.getUint32(local, true), 0x04034b50);
+    assert.strictEqual(view.getUint16(local + 8, true), 0);
+    assert.strictEqual(view.getUint32(local + 14, true), crc);
+    assert.strictEqual(view.getUint32(local + 18, true), size);
+    assert.strictEqual(text(zip.subarray(local + 30, local + 30 + nameLength)), name);
+    const start = local + 30 + nameLength + view.getUint16(local + 28, true);
+    entries.push({ name, crc, data: zip.subarray(start, start + size) });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('stored entries come back with their names, data and checksums', () => {
+  const zip = RasterZip.createZip();
+  zip.add('frames/frame-0000.png', bytes('first frame'));
+  zip.add('frames/frame-0001.png', new Uint8Array(0));
+  zip.add('größe.json', bytes('{"cols":40}'));
+  assert.strictEqual(zip.count, 3);
+
+  const entries = readZip(zip.toUint8Array());
+  assert.deepStrictEqual(entries.map((e) => e.name), ['frames/frame-0000.png', 'frames/frame-0001.png', 'größe.json']);
+  assert.deepStrictEqual(entries.map((e) => text(e.data)), ['first frame', '', '{"cols":40}']);
+  entries.forEach((e) => assert.strictEqual(e.crc, RasterZip.crc32(e.data)));
+});
+
+test('an empty archive is just the end record', () => {
+  const zip = RasterZip.createZip().toUint8Array();
+  assert.strictEqual(zip.length, 22);
+  assert.deepStrictEqual(readZip(zip), []);
+});
+
+test('the blob holds the same bytes', async () => {
+  const zip = RasterZip.createZip();
+  zip.add('a.txt', bytes('a'));
+  const blob = zip.toBlob();
+  assert.strictEqual(blob.type, 'application/zip');
+  assert.deepStrictEqual(new Uint8Array(await blob.arrayBuffer()), zip.toUint8Array());
+});
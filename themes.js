@@ -0,0 +1,121 @@
+/* Color themes for the flip-grid: named palettes, switched at runtime
+   - a theme is the page background, the ink (cursor, outlines), the color tiles rest in,
+     an accent (the edit brush) and color lists for the modes; modes it leaves out keep their own
+     (mode parameters, settings panel), a grid's palette still goes over both
+   - built in: dark (the original look), light and high-contrast; registerTheme adds more
+     (e.g. a venue's colors), createTheme fills a partial theme in from a base one
+   - the simulation only gets the tile colors (simColors: rest and modes), the page the rest
+   - works in the browser (global RasterThemes) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterThemes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+  const THEMES = Object.create(null); // no prototype: any name, '__proto__' too, is an own key
+  const THEME_ORDER = []; // registration order, the L key cycles through it
+  const DEFAULT_THEME = 'dark';
+
+  function validColor(value, fallback) {
+    return typeof value === 'string' && HEX_COLOR.test(value) ? value : fallback;
+  }
+
+  // A complete theme from a partial one: missing or invalid colors come from base
+  // (default: dark), mode lists are added to or replace base's per mode, invalid entries dropped
+  function createTheme(def, base) {
+    const from = base || THEMES[DEFAULT_THEME];
+    const d = def || {};
+    const modes = {};
+    Object.keys(from.modes).forEach((name) => { modes[name] = from.modes[name].slice(); });
+    if (d.modes && typeof d.modes === 'object') {
+      Object.keys(d.modes).forEach((name) => {
+        const list = Array.isArray(d.modes[name]) ? d.modes[name].filter((c) => validColor(c)) : [];
+        if (list.length) modes[name] = list;
+      });
+    }
+    return {
+      label: typeof d.label === 'string' ? d.label : from.label,
+      background: validColor(d.background, from.background),
+      ink: validColor(d.ink, from.ink),
+      rest: validColor(d.rest, from.rest),
+      accent: validColor(d.accent, from.accent),
+      modes
+    };
+  }
+
+  // Add or replace a named theme; def.base names the theme it builds on
+  function registerTheme(name, def) {
+    if (!name || typeof name !== 'string') throw new Error('registerTheme: name must be a string');
+    const base = def && getTheme(def.base);
+    const existed = !!getTheme(name);
+    THEMES[name] = createTheme(Object.assign({ label: name }, def), base);
+    if (!existed) THEME_ORDER.push(name);
+    return THEMES[name];
+  }
+
+  function getTheme(name) {
+    return Object.prototype.hasOwnProperty.call(THEMES, name) ? THEMES[name] : null;
+  }
+
+  // What the simulation needs of a theme (sim.setTheme)
+  function simColors(theme) {
+    return { rest: theme.rest, modes: theme.modes };
+  }
+
+  // The original look, with the modes' own colors
+  THEMES.dark = {
+    label: 'Dark',
+    background: '#1a1a1a',
+    ink: '#ffffff',
+    rest: '#ffffff',
+    accent: '#3a5eff',
+    modes: {}
+  };
+  THEME_ORDER.push('dark');
+
+  // charcoal tiles on paper
+  registerTheme('light', {
+    label: 'Light',
+    background: '#f2f0eb',
+    ink: '#1a1a1a',
+    rest: '#3a3a3a',
+    accent: '#0505fb',
+    modes: {
+      labil: ['#9a9a9a', '#c4c4c4', '#707070'],
+      stable: ['#0505fb'],
+      wave: ['#1b4dd8', '#3a8dff', '#0b2a80'],
+      automaton: ['#d62f35', '#e08a00', '#3a3a3a']
+    }
+  });
+
+  // black and white with saturated flips, for low vision and bright rooms
+  registerTheme('high-contrast', {
+    label: 'High contrast',
+    background: '#000000',
+    ink: '#ffff00',
+    rest: '#ffffff',
+    accent: '#ffff00',
+    modes: {
+      labil: ['#ffff00', '#00ffff'],
+      stable: ['#ffff00'],
+      wave: ['#00ffff', '#ffff00'],
+      automaton: ['#ff3030', '#ffff00', '#00ffff']
+    }
+  });
+
+  return {
+    THEMES,
+    THEME_ORDER,
+    DEFAULT_THEME,
+    createTheme,
+    registerTheme,
+    getTheme,
+    simColors
+  };
+});
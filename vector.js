@@ -0,0 +1,106 @@
+/* Vector writers for grid snapshots (print posters)
+   - input: polygons in pixel space (y down), back to front:
+       [{ points: [[x, y], ...], holes: [[[x, y], ...], ...] (optional), fill: '#rrggbb' }, ...]
+   - toSVG() / toPDF() return the document as a string (PDF is plain ASCII)
+   - works in the browser (global RasterVector) and in Node
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterVector = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function num(v) {
+    return (Math.round(v * 100) / 100).toString();
+  }
+
+  function hexToRgb(hex) {
+    let h = String(hex).replace('#', '');
+    if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+    const n = parseInt(h, 16) || 0;
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  // opts: { width, height, background } - background null => transparent
+  function toSVG(polys, opts) {
+    const out = [];
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<svg xmlns="http://www.w3.org/2000/svg" width="' + num(opts.width) + '" height="' + num(opts.height) +
+      '" viewBox="0 0 ' + num(opts.width) + ' ' + num(opts.height) + '">');
+    if (opts.background) {
+      out.push('<rect width="100%" height="100%" fill="' + opts.background + '"/>');
+    }
+    for (let i = 0; i < polys.length; i++) {
+      const p = polys[i];
+      if (p.holes && p.holes.length) {
+        // outline and holes as subpaths, even-odd cuts the holes out
+        const d = [p.points].concat(p.holes).map((ring) =>
+          'M' + ring.map((pt) => num(pt[0]) + ',' + num(pt[1])).join('L') + 'Z').join('');
+        out.push('<path d="' + d + '" fill="' + p.fill + '" fill-rule="evenodd"/>');
+        continue;
+      }
+      const pts = p.points.map((pt) => num(pt[0]) + ',' + num(pt[1])).join(' ');
+      out.push('<polygon points="' + pts + '" fill="' + p.fill + '"/>');
+    }
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  // Single page PDF, 1px = 1pt. Same options as toSVG.
+  function toPDF(polys, opts) {
+    const W = opts.width;
+    const H = opts.height;
+    const ops = [];
+    const fill = (hex) => {
+      const rgb = hexToRgb(hex);
+      return num(rgb[0] / 255) + ' ' + num(rgb[1] / 255) + ' ' + num(rgb[2] / 255) + ' rg';
+    };
+    if (opts.background) {
+      ops.push(fill(opts.background), '0 0 ' + num(W) + ' ' + num(H) + ' re f');
+    }
+    for (let i = 0; i < polys.length; i++) {
+      const holes = polys[i].holes || [];
+      const path = [fill(polys[i].fill)];
+      [polys[i].points].concat(holes).forEach((pts) => {
+        for (let k = 0; k < pts.length; k++) {
+          // PDF y axis points up
+          path.push(num(pts[k][0]) + ' ' + num(H - pts[k][1]) + (k === 0 ? ' m' : ' l'));
+        }
+        path.push('h');
+      });
+      // f* = even-odd fill, so holes stay open
+      path.push(holes.length ? 'f*' : 'f');
+      ops.push(path.join(' '));
+    }
+    const content = ops.join('\n');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + num(W) + ' ' + num(H) + '] /Contents 4 0 R /Resources << >> >>',
+      '<< /Length ' + content.length + ' >>\nstream\n' + content + '\nendstream'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let i = 0; i < objects.length; i++) {
+      offsets.push(pdf.length);
+      pdf += (i + 1) + ' 0 obj\n' + objects[i] + '\nendobj\n';
+    }
+    const xref = pdf.length;
+    pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+    for (let i = 0; i < offsets.length; i++) {
+      pdf += String(offsets[i]).padStart(10, '0') + ' 00000 n \n';
+    }
+    pdf += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+    return pdf;
+  }
+
+  return {
+    hexToRgb,
+    toSVG,
+    toPDF
+  };
+});
@@ -0,0 +1,124 @@
+/* Minimal ZIP writer (store only, no compression)
+   - PNG frames are already compressed, so storing them is enough
+   - createZip().add(name, Uint8Array) ... .toBlob()
+   - works in the browser (global RasterZip) and in Node (toUint8Array)
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RasterZip = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CRC_TABLE = (function () {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS date/time fields
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  function createZip() {
+    const entries = [];
+    const stamp = dosDateTime(new Date());
+
+    // name: path inside the archive, data: Uint8Array
+    function add(name, data) {
+      entries.push({ name: new TextEncoder().encode(name), data, crc: crc32(data) });
+    }
+
+    // Archive as a list of byte chunks (local headers + data, central directory, end record)
+    function chunks() {
+      const out = [];
+      const central = [];
+      let offset = 0;
+      for (let i = 0; i < entries.length; i++) {
+        const e = entries[i];
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+        local.setUint16(8, 0, true);           // method: store
+        local.setUint16(10, stamp.time, true);
+        local.setUint16(12, stamp.day, true);
+        local.setUint32(14, e.crc, true);
+        local.setUint32(18, e.data.length, true);
+        local.setUint32(22, e.data.length, true);
+        local.setUint16(26, e.name.length, true);
+        local.setUint16(28, 0, true);          // extra length
+        out.push(new Uint8Array(local.buffer), e.name, e.data);
+
+        const dir = new DataView(new ArrayBuffer(46));
+        dir.setUint32(0, 0x02014b50, true);
+        dir.setUint16(4, 20, true);            // version made by
+        dir.setUint16(6, 20, true);            // version needed
+        dir.setUint16(8, 0x0800, true);
+        dir.setUint16(10, 0, true);
+        dir.setUint16(12, stamp.time, true);
+        dir.setUint16(14, stamp.day, true);
+        dir.setUint32(16, e.crc, true);
+        dir.setUint32(20, e.data.length, true);
+        dir.setUint32(24, e.data.length, true);
+        dir.setUint16(28, e.name.length, true);
+        dir.setUint32(42, offset, true);       // local header offset (rest stays 0)
+        central.push(new Uint8Array(dir.buffer), e.name);
+
+        offset += 30 + e.name.length + e.data.length;
+      }
+
+      let centralSize = 0;
+      for (let i = 0; i < central.length; i++) centralSize += central[i].length;
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, entries.length, true);
+      end.setUint16(10, entries.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      return out.concat(central, [new Uint8Array(end.buffer)]);
+    }
+
+    return {
+      add,
+      get count() { return entries.length; },
+      toBlob() {
+        return new Blob(chunks(), { type: 'application/zip' });
+      },
+      toUint8Array() {
+        const parts = chunks();
+        let size = 0;
+        for (let i = 0; i < parts.length; i++) size += parts[i].length;
+        const bytes = new Uint8Array(size);
+        let pos = 0;
+        for (let i = 0; i < parts.length; i++) {
+          bytes.set(parts[i], pos);
+          pos += parts[i].length;
+        }
+        return bytes;
+      }
+    };
+  }
+
+  return {
+    crc32,
+    createZip
+  };
+});